@@ -1,8 +1,105 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { findActiveSession, touchSession } = require('../utils/sessionService');
+const { verifyAnonymousSession, getAnonymousSessionToken } = require('../utils/anonymousSession');
 
 const prisma = new PrismaClient();
 
+// Fields exposed as req.user
+const userSelect = {
+  id: true,
+  username: true,
+  email: true,
+  emailVerifiedAt: true,
+  twoFactorEnabledAt: true,
+  firstName: true,
+  lastName: true,
+  location: true,
+  bio: true,
+  role: true,
+  suspendedAt: true,
+  suspendedUntil: true,
+  suspensionReason: true,
+  deactivatedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Return a user's current suspension, or null. A suspension without an end date is a ban.
+const getActiveSuspension = (user) => {
+  if (!user || !user.suspendedAt) {
+    return null;
+  }
+
+  if (user.suspendedUntil && user.suspendedUntil <= new Date()) {
+    return null;
+  }
+
+  return {
+    suspendedAt: user.suspendedAt,
+    suspendedUntil: user.suspendedUntil,
+    reason: user.suspensionReason,
+    banned: !user.suspendedUntil
+  };
+};
+
+// Response body for a request from an account scheduled for deletion
+const deactivatedResponse = {
+  error: 'Account deactivated',
+  message: 'This account is scheduled for deletion. Restore it to continue using it.'
+};
+
+// Response body for a request from a suspended account
+const suspendedResponse = (suspension) => ({
+  error: 'Account suspended',
+  message: suspension.banned
+    ? 'This account has been banned'
+    : `This account is suspended until ${suspension.suspendedUntil.toISOString()}`,
+  reason: suspension.reason,
+  suspendedUntil: suspension.suspendedUntil
+});
+
+// Impersonation sessions let support see what a user sees, not act on their
+// behalf, so they are limited to read-only requests everywhere
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const impersonationResponse = {
+  error: 'Not allowed while impersonating',
+  message: 'This action is not available during an impersonation session'
+};
+
+// Whether a request must be refused because it would change data during impersonation
+const isBlockedByImpersonation = (req, session) => {
+  return Boolean(session?.impersonatorId) && !READ_ONLY_METHODS.includes(req.method) && !req.allowDuringImpersonation;
+};
+
+// Middleware marking a route as usable during impersonation (e.g. ending the session).
+// Must run before authenticateToken.
+const allowDuringImpersonation = (req, res, next) => {
+  req.allowDuringImpersonation = true;
+  next();
+};
+
+// Resolve the server-side session and user behind a verified token.
+// Tokens without a session id (issued before sessions were tracked) are rejected.
+const loadSessionUser = async (decoded) => {
+  if (!decoded.sid) {
+    return { session: null, user: null };
+  }
+
+  const session = await findActiveSession(decoded.sid);
+  if (!session || session.userId !== decoded.userId) {
+    return { session: null, user: null };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: session.userId },
+    select: userSelect
+  });
+
+  return { session, user };
+};
+
 // Middleware to authenticate JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -19,22 +116,15 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Get user from database to ensure they still exist and get current data
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        location: true,
-        bio: true,
-        role: true,
-        createdAt: true,
-        updatedAt: true
-      }
-    });
+    // Check the session is still active and get current user data
+    const { session, user } = await loadSessionUser(decoded);
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Session expired or revoked, please log in again'
+      });
+    }
 
     if (!user) {
       return res.status(401).json({
@@ -43,7 +133,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    const suspension = getActiveSuspension(user);
+    if (suspension) {
+      return res.status(403).json(suspendedResponse(suspension));
+    }
+
+    if (user.deactivatedAt) {
+      return res.status(403).json(deactivatedResponse);
+    }
+
+    if (isBlockedByImpersonation(req, session)) {
+      return res.status(403).json(impersonationResponse);
+    }
+
     req.user = user;
+    req.authSession = session;
+
+    // Update last seen in the background; failures here shouldn't block the request
+    touchSession(session).catch(error => console.error('Session touch error:', error));
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -66,6 +174,36 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Permissions granted by each role. Admins implicitly hold every permission.
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['reviews:moderate'],
+  support: ['tickets:lookup', 'tickets:redeem', 'trackers:lookup'],
+  analyst: ['analytics:read'],
+  admin: ['*']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Check whether a user's role grants a permission
+const hasPermission = (user, permission) => {
+  const permissions = ROLE_PERMISSIONS[user?.role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Staff accounts can optionally be required to have two-factor authentication enabled.
+// Returns an error response body, or null when the check passes.
+const checkStaffTwoFactor = (user) => {
+  if (process.env.REQUIRE_ADMIN_2FA === 'true' && !user.twoFactorEnabledAt) {
+    return {
+      error: 'Two-factor authentication required',
+      message: 'Enable two-factor authentication to use staff features'
+    };
+  }
+
+  return null;
+};
+
 // Middleware to check if user has admin role
 const requireAdmin = async (req, res, next) => {
   try {
@@ -77,6 +215,10 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
+    if (req.authSession?.impersonatorId) {
+      return res.status(403).json(impersonationResponse);
+    }
+
     // Check if user has admin role
     if (req.user.role !== 'admin') {
       return res.status(403).json({
@@ -85,6 +227,11 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
+    const twoFactorError = checkStaffTwoFactor(req.user);
+    if (twoFactorError) {
+      return res.status(403).json(twoFactorError);
+    }
+
     next();
   } catch (error) {
     console.error('Admin check error:', error);
@@ -95,6 +242,48 @@ const requireAdmin = async (req, res, next) => {
   }
 };
 
+// Middleware factory requiring at least one of the given permissions,
+// e.g. requirePermission('reviews:moderate')
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'Authentication required'
+    });
+  }
+
+  if (req.authSession?.impersonatorId) {
+    return res.status(403).json(impersonationResponse);
+  }
+
+  if (!permissions.some(permission => hasPermission(req.user, permission))) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: `Missing permission: ${permissions.join(' or ')}`
+    });
+  }
+
+  const twoFactorError = checkStaffTwoFactor(req.user);
+  if (twoFactorError) {
+    return res.status(403).json(twoFactorError);
+  }
+
+  next();
+};
+
+// Middleware to block unverified accounts from account-bound actions.
+// Anonymous requests pass through; routes that require a login should use authenticateToken first.
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && !req.user.emailVerifiedAt) {
+    return res.status(403).json({
+      error: 'Email not verified',
+      message: 'Please verify your email address to do this'
+    });
+  }
+
+  next();
+};
+
 // Optional authentication - doesn't fail if no token provided
 const optionalAuth = async (req, res, next) => {
   try {
@@ -103,50 +292,51 @@ const optionalAuth = async (req, res, next) => {
 
     if (!token) {
       req.user = null;
+      req.authSession = null;
       return next();
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        location: true,
-        bio: true,
-        role: true,
-        createdAt: true,
-        updatedAt: true
-      }
-    });
+    const { session, user } = await loadSessionUser(decoded);
+    const isAllowed = user && !getActiveSuspension(user) && !user.deactivatedAt;
+
+    // Don't fall back to anonymous access: an impersonator must not write either way
+    if (isAllowed && isBlockedByImpersonation(req, session)) {
+      return res.status(403).json(impersonationResponse);
+    }
 
-    req.user = user || null;
+    req.user = isAllowed ? user : null;
+    req.authSession = isAllowed ? session : null;
     next();
   } catch (error) {
     // If token is invalid, just continue without user
     req.user = null;
+    req.authSession = null;
     next();
   }
 };
 
-// Middleware to get session ID from headers or body
+// Middleware to get the anonymous session ID from headers, body, query or cookie
 const getSessionId = (req, res, next) => {
-  // Try to get session ID from various sources
-  const sessionId = req.headers['x-session-id'] || 
-                   req.body.sessionId || 
-                   req.query.sessionId ||
-                   req.cookies?.sessionId;
-  
-  req.sessionId = sessionId;
+  // Only server-issued anonymous sessions count; see POST /api/auth/anonymous-session
+  const session = verifyAnonymousSession(getAnonymousSessionToken(req));
+
+  req.sessionId = session ? session.sessionId : null;
+  req.anonymousSessionExpiresAt = session ? session.expiresAt : null;
   next();
 };
 
 module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getActiveSuspension,
+  suspendedResponse,
   authenticateToken,
   requireAdmin,
+  requirePermission,
+  allowDuringImpersonation,
+  requireVerifiedEmail,
   optionalAuth,
   getSessionId
 }; 
\ No newline at end of file
@@ -16,6 +16,7 @@ async function main() {
       username: 'user',
       email: 'user@example.com',
       password: hashedPassword,
+      emailVerifiedAt: new Date(),
       firstName: 'John',
       lastName: 'Doe',
       role: 'user'
@@ -29,6 +30,7 @@ async function main() {
       username: 'admin',
       email: 'admin@example.com',
       password: hashedPassword,
+      emailVerifiedAt: new Date(),
       firstName: 'Admin',
       lastName: 'User',
       role: 'admin'
@@ -1,12 +1,14 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLog');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 // Get dashboard overview analytics
-router.get('/analytics/overview', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/analytics/overview', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -76,7 +78,7 @@ router.get('/analytics/overview', authenticateToken, requireAdmin, async (req, r
 });
 
 // Get user analytics
-router.get('/analytics/users', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/analytics/users', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -158,7 +160,7 @@ router.get('/analytics/users', authenticateToken, requireAdmin, async (req, res)
 });
 
 // Get trip analytics
-router.get('/analytics/trips', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/analytics/trips', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -234,7 +236,7 @@ router.get('/analytics/trips', authenticateToken, requireAdmin, async (req, res)
 });
 
 // Get most popular destinations
-router.get('/analytics/destinations', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/analytics/destinations', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
   try {
     // Get top destinations by count
     const destinations = await prisma.tripDestination.groupBy({
@@ -276,7 +278,7 @@ router.get('/analytics/destinations', authenticateToken, requireAdmin, async (re
 });
 
 // Get ticket analytics
-router.get('/analytics/tickets', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/analytics/tickets', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
@@ -464,6 +466,228 @@ router.get('/analytics/tickets', authenticateToken, requireAdmin, async (req, re
   }
 });
 
+// Look up a ticket with its owner and redemption details (support)
+router.get('/support/tickets/:ticketId', authenticateToken, requirePermission('tickets:lookup'), async (req, res) => {
+  try {
+    const ticket = await prisma.generatedTicket.findUnique({
+      where: { ticketId: req.params.ticketId },
+      include: {
+        user: {
+          select: { id: true, username: true, email: true, firstName: true, lastName: true }
+        },
+        redeemedBy: {
+          select: { id: true, username: true }
+        }
+      }
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ticket not found',
+        message: 'The specified ticket could not be found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'support.ticket_lookup',
+      targetType: 'generated_ticket',
+      targetId: ticket.ticketId
+    });
+
+    res.json({
+      success: true,
+      ticket
+    });
+
+  } catch (error) {
+    console.error('Support ticket lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up ticket',
+      message: 'An error occurred while looking up the ticket'
+    });
+  }
+});
+
+// Look up trip trackers by email or tracker ID, including inactive ones (support)
+router.get('/support/trackers', authenticateToken, requirePermission('trackers:lookup'), async (req, res) => {
+  try {
+    const { email, trackerId } = req.query;
+
+    if (!email && !trackerId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing parameters',
+        message: 'Either email or trackerId must be provided'
+      });
+    }
+
+    const trackers = await prisma.tripTracker.findMany({
+      where: {
+        ...(email && { email: String(email).toLowerCase() }),
+        ...(trackerId && { trackerId: String(trackerId) })
+      },
+      include: {
+        trip: {
+          select: {
+            id: true,
+            tripName: true,
+            destination: true,
+            startDate: true,
+            endDate: true,
+            userId: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 100
+    });
+
+    await recordAudit(req, {
+      action: 'support.tracker_lookup',
+      targetType: email ? 'email' : 'trip_tracker',
+      targetId: email || trackerId,
+      after: { results: trackers.length }
+    });
+
+    res.json({
+      success: true,
+      trackers,
+      count: trackers.length
+    });
+
+  } catch (error) {
+    console.error('Support tracker lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up trackers',
+      message: 'An error occurred while looking up trip trackers'
+    });
+  }
+});
+
+// Helper function to quote a value for CSV output
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  // Stop spreadsheets from evaluating user-controlled values as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const AUDIT_CSV_COLUMNS = [
+  'id', 'createdAt', 'actorId', 'actorUsername', 'impersonatorId', 'action',
+  'targetType', 'targetId', 'before', 'after', 'ipAddress', 'userAgent'
+];
+
+// Maximum rows in a single CSV export
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// Get audit log entries with filters; ?format=csv exports them (admin only)
+router.get('/audit-logs', authenticateToken, requireAdmin, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+  query('actorId').optional().isInt().withMessage('Actor ID must be an integer'),
+  query('from').optional().isISO8601().withMessage('From must be a valid ISO date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid ISO date'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, actorId, action, targetType, targetId, from, to, format } = req.query;
+
+    const where = {};
+    if (actorId) where.actorId = parseInt(actorId);
+    // "review." matches every review action
+    if (action) where.action = action.endsWith('.') ? { startsWith: action } : action;
+    if (targetType) where.targetType = targetType;
+    if (targetId) where.targetId = String(targetId);
+    if (from || to) {
+      where.createdAt = {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) })
+      };
+    }
+
+    const include = {
+      actor: {
+        select: { id: true, username: true, email: true }
+      }
+    };
+
+    if (format === 'csv') {
+      const entries = await prisma.auditLog.findMany({
+        where,
+        include,
+        orderBy: { createdAt: 'desc' },
+        take: AUDIT_EXPORT_LIMIT
+      });
+
+      const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(column => csvValue(
+        column === 'actorUsername' ? entry.actor?.username : entry[column]
+      )).join(','));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send([AUDIT_CSV_COLUMNS.join(','), ...rows].join('\n'));
+    }
+
+    const take = Math.min(parseInt(limit) || 50, 200);
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include,
+        orderBy: { createdAt: 'desc' },
+        skip: (parseInt(page) - 1) * take,
+        take
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: 'An error occurred while fetching the audit log'
+    });
+  }
+});
+
 // Get system metrics
 router.get('/system/metrics', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -1,10 +1,64 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const { normalizeEmail } = require('validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const validator = require('validator');
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getActiveSuspension,
+  suspendedResponse,
+  authenticateToken,
+  requireAdmin,
+  requirePermission,
+  allowDuringImpersonation
+} = require('../middleware/auth');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  createImpersonationSession,
+  findRefreshTokenSession,
+  generateAccessToken,
+  issueSessionTokens,
+  listActiveSessions,
+  revokeSession,
+  revokeOtherSessions,
+  rotateRefreshToken
+} = require('../utils/sessionService');
+const { generateSecureToken, hashToken, signActionToken, verifyActionToken } = require('../utils/secureTokens');
+const {
+  createAnonymousSession,
+  getAnonymousSessionId,
+  findLegacySessionId,
+  setAnonymousSessionCookie,
+  mergeAnonymousSession
+} = require('../utils/anonymousSession');
+const { recordAudit } = require('../utils/auditLog');
+const { processDataExport, purgeExpiredDataExports } = require('../utils/dataExport');
+const { ACCOUNT_DELETION_GRACE_DAYS, deletionDateFromNow } = require('../utils/accountDeletion');
+const {
+  PREFERENCE_SCHEMA,
+  PREFERENCE_KEYS,
+  validatePreference,
+  getUserPreferences,
+  updateUserPreferences,
+  resetUserPreferences
+} = require('../utils/preferences');
+const { checkLoginAllowed, recordLoginFailure, getAccountLockRetryAfter, clearAccountFailures } = require('../utils/loginThrottle');
+const {
+  generateTwoFactorSecret,
+  verifyTotpCode,
+  regenerateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeNoticeEmail,
+  sendAccountUnlockEmail,
+  sendAccountDeletionScheduledEmail,
+  buildAppUrl
+} = require('../utils/emailService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -30,7 +84,12 @@ const registerValidation = [
   body('lastName')
     .optional()
     .isLength({ max: 50 })
-    .withMessage('Last name must be less than 50 characters')
+    .withMessage('Last name must be less than 50 characters'),
+  body('sessionId')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Session ID must be a string of at most 255 characters')
 ];
 
 const loginValidation = [
@@ -40,16 +99,89 @@ const loginValidation = [
     .withMessage('Please provide a valid email'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('sessionId')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Session ID must be a string of at most 255 characters')
 ];
 
-// Helper function to generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL = '24h';
+const EMAIL_CHANGE_TTL = '24h';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const ACCOUNT_UNLOCK_TTL = '1h';
+const IMPERSONATION_DEFAULT_MINUTES = 15;
+const IMPERSONATION_MAX_MINUTES = 60;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Helper function to check a password. Accounts created through social login have none.
+const verifyPassword = async (user, password) => {
+  return Boolean(user.password) && bcrypt.compare(password, user.password);
+};
+
+// Helper function to refuse logging in to an account awaiting deletion
+const sendAccountDeactivated = (res, user) => {
+  return res.status(403).json({
+    error: 'Account deactivated',
+    message: 'This account is scheduled for deletion. Restore it with POST /api/auth/account/restore.',
+    accountDeactivated: true,
+    deletionScheduledFor: user.deletionScheduledFor
+  });
+};
+
+// Helper function to email a verification link. The link is bound to the
+// current address, so it stops working if the email changes before it's used.
+const sendVerificationLink = async (user) => {
+  const token = signActionToken('verify-email', { userId: user.id, email: user.email }, EMAIL_VERIFICATION_TTL);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { verificationEmailSentAt: new Date() }
+  });
+
+  const emailResult = await sendVerificationEmail({
+    email: user.email,
+    name: user.firstName,
+    verifyUrl: buildAppUrl('/verify-email', { token })
+  });
+
+  if (!emailResult.success) {
+    console.warn(`Failed to send verification email to ${user.email}:`, emailResult.error);
+  }
+
+  return emailResult;
+};
+
+// Helper function to reject a throttled login attempt. The response is the same
+// whether or not the account exists.
+const sendLoginThrottled = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many attempts',
+    message: 'Too many failed login attempts, please try again later',
+    retryAfter
+  });
+};
+
+// Helper function to record a failed login, emailing an unlock link if it locked the account
+const handleFailedLogin = async (email, req, user) => {
+  const { accountLockedUntil } = await recordLoginFailure(email, req.ip);
+
+  if (accountLockedUntil && user) {
+    const token = signActionToken('account-unlock', { email: user.email }, ACCOUNT_UNLOCK_TTL);
+    sendAccountUnlockEmail({
+      email: user.email,
+      name: user.firstName,
+      unlockUrl: buildAppUrl('/unlock-account', { token }),
+      lockedUntil: accountLockedUntil
+    }).then(emailResult => {
+      if (!emailResult.success) {
+        console.warn(`Failed to send unlock email to ${user.email}:`, emailResult.error);
+      }
+    });
+  }
 };
 
 // Register new user
@@ -106,18 +238,26 @@ router.post('/register', registerValidation, async (req, res) => {
         firstName: true,
         lastName: true,
         role: true,
+        emailVerifiedAt: true,
         createdAt: true
       }
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Send verification email in the background; the account is usable meanwhile
+    sendVerificationLink(user).catch(error => console.error('Verification email error:', error));
+
+    // Claim trips and tickets created before signing up
+    const merged = await mergeAnonymousSession(user.id, getAnonymousSessionId(req));
+
+    // Generate tokens
+    const tokens = await issueSessionTokens(user.id, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       user,
-      token
+      ...tokens,
+      merged
     });
 
   } catch (error) {
@@ -144,12 +284,19 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Refuse early while this account or IP is throttled
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
     // Find user
     const user = await prisma.user.findUnique({
       where: { email }
     });
 
     if (!user) {
+      await handleFailedLogin(email, req, null);
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Email or password is incorrect'
@@ -157,25 +304,59 @@ router.post('/login', loginValidation, async (req, res) => {
     }
 
     // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = await verifyPassword(user, password);
     if (!isPasswordValid) {
+      await handleFailedLogin(email, req, user);
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Email or password is incorrect'
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    const lockRetryAfter = await getAccountLockRetryAfter(email);
+    if (lockRetryAfter > 0) {
+      return sendLoginThrottled(res, lockRetryAfter);
+    }
+
+    await clearAccountFailures(email);
+
+    const suspension = getActiveSuspension(user);
+    if (suspension) {
+      return res.status(403).json(suspendedResponse(suspension));
+    }
+
+    if (user.deactivatedAt) {
+      return sendAccountDeactivated(res, user);
+    }
+
+    // With 2FA enabled the password only earns a short-lived challenge, see POST /login/2fa
+    if (user.twoFactorEnabledAt) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signActionToken('2fa-challenge', {
+          userId: user.id,
+          anonymousSessionId: getAnonymousSessionId(req)
+        }, TWO_FACTOR_CHALLENGE_TTL)
+      });
+    }
+
+    // Claim trips and tickets created while logged out
+    const merged = await mergeAnonymousSession(user.id, getAnonymousSessionId(req));
+
+    // Generate tokens
+    const tokens = await issueSessionTokens(user.id, req);
 
     // Return user data without password
-    const { password: _, ...userWithoutPassword } = user;
+    const { password: _, twoFactorSecret: __, ...userWithoutPassword } = user;
 
     res.json({
       success: true,
       message: 'Login successful',
       user: userWithoutPassword,
-      token
+      ...tokens,
+      merged
     });
 
   } catch (error) {
@@ -187,276 +368,1636 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
-// Get current user profile
-router.get('/profile', authenticateToken, async (req, res) => {
+// Complete a login that requires a second factor
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const payload = verifyActionToken('2fa-challenge', challengeToken);
+    if (!payload) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your login attempt has expired, please log in again'
+      });
+    }
+
     const user = await prisma.user.findUnique({
-      where: { id: req.user.id },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        location: true,
-        bio: true,
-        role: true,
-        createdAt: true,
-        updatedAt: true
-      }
+      where: { id: payload.userId }
     });
 
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'Your account could not be found'
+    if (!user || !user.twoFactorEnabledAt) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your login attempt has expired, please log in again'
+      });
+    }
+
+    // Codes are brute-forceable too, so they share the login throttle
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
+    const isSecondFactorValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isSecondFactorValid) {
+      await handleFailedLogin(user.email, req, user);
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
       });
     }
 
+    const lockRetryAfter = await getAccountLockRetryAfter(user.email);
+    if (lockRetryAfter > 0) {
+      return sendLoginThrottled(res, lockRetryAfter);
+    }
+
+    await clearAccountFailures(user.email);
+
+    const suspension = getActiveSuspension(user);
+    if (suspension) {
+      return res.status(403).json(suspendedResponse(suspension));
+    }
+
+    if (user.deactivatedAt) {
+      return sendAccountDeactivated(res, user);
+    }
+
+    // Claim trips and tickets created while logged out
+    const merged = await mergeAnonymousSession(
+      user.id,
+      payload.anonymousSessionId || getAnonymousSessionId(req)
+    );
+
+    // Generate tokens
+    const tokens = await issueSessionTokens(user.id, req);
+
+    // Return user data without password
+    const { password: _, twoFactorSecret: __, ...userWithoutPassword } = user;
+
     res.json({
       success: true,
-      user
+      message: 'Login successful',
+      user: userWithoutPassword,
+      ...tokens,
+      merged
     });
 
   } catch (error) {
-    console.error('Profile fetch error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
-      error: 'Failed to fetch profile',
-      message: 'An error occurred while fetching your profile'
+      error: 'Login failed',
+      message: 'An error occurred while logging in'
     });
   }
 });
 
-// Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+// Unlock an account from the link emailed when it was locked
+router.post('/unlock', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Unlock token is required')
+], async (req, res) => {
   try {
-    const { name, email, location, bio } = req.body;
-    
-    // Validate email format if provided
-    if (email && !validator.isEmail(email)) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        success: false,
-        error: 'Invalid email format',
-        message: 'Please provide a valid email address'
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
       });
     }
 
-    // Check if email is already in use by another user
-    if (email && email !== req.user.email) {
-      const existingUser = await prisma.user.findUnique({
-        where: { email }
+    const payload = verifyActionToken('account-unlock', req.body.token);
+    if (!payload) {
+      return res.status(400).json({
+        error: 'Invalid unlock token',
+        message: 'This unlock link is invalid or has expired'
       });
-      
-      if (existingUser && existingUser.id !== req.user.id) {
-        return res.status(400).json({
-          success: false,
-          error: 'Email already in use',
-          message: 'This email is already associated with another account'
-        });
-      }
     }
 
-    // Split name into firstName and lastName if provided
-    let firstName = undefined;
-    let lastName = undefined;
-    
-    if (name) {
-      const nameParts = name.trim().split(' ');
-      if (nameParts.length > 0) {
-        firstName = nameParts[0];
-        lastName = nameParts.length > 1 ? nameParts.slice(1).join(' ') : '';
-      }
-    }
+    await clearAccountFailures(payload.email);
 
-    // Update user profile
-    const updatedUser = await prisma.user.update({
-      where: { id: req.user.id },
-      data: {
-        ...(email && { email }),
-        ...(firstName !== undefined && { firstName }),
-        ...(lastName !== undefined && { lastName }),
-        ...(location !== undefined && { location }),
-        ...(bio !== undefined && { bio })
-      }
+    await recordAudit(req, {
+      action: 'auth.account_unlocked',
+      targetType: 'email',
+      targetId: payload.email
     });
 
-    // Return sanitized user data
-    const userData = {
-      id: updatedUser.id,
-      name: `${updatedUser.firstName || ''} ${updatedUser.lastName || ''}`.trim(),
-      email: updatedUser.email,
-      location: updatedUser.location || '',
-      bio: updatedUser.bio || '',
-      role: updatedUser.role,
-      created_at: updatedUser.createdAt
-    };
-
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      user: userData
+      message: 'Your account has been unlocked, you can log in again'
     });
+
   } catch (error) {
-    console.error('Profile update error:', error);
+    console.error('Account unlock error:', error);
     res.status(500).json({
-      success: false,
-      error: 'Failed to update profile',
-      message: 'An error occurred while updating your profile'
+      error: 'Account unlock failed',
+      message: 'An error occurred while unlocking your account'
     });
   }
 });
 
-// Change password
-router.put('/change-password', authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-    
-    if (!currentPassword || !newPassword) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'Current password and new password are required'
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
       });
     }
 
-    // Validate new password
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid new password',
-        message: 'New password must be at least 6 characters long'
+    // Suspended or deactivated accounts can't keep their sessions alive
+    const tokenSession = await findRefreshTokenSession(req.body.refreshToken);
+    if (tokenSession) {
+      const owner = await prisma.user.findUnique({
+        where: { id: tokenSession.userId },
+        select: { suspendedAt: true, suspendedUntil: true, suspensionReason: true, deactivatedAt: true, deletionScheduledFor: true }
       });
-    }
-
-    // Find user with password
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id }
-    });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-        message: 'User account could not be found'
-      });
+      const suspension = owner && getActiveSuspension(owner);
+      if (suspension || owner?.deactivatedAt) {
+        await revokeSession(tokenSession.sessionId);
+        return suspension
+          ? res.status(403).json(suspendedResponse(suspension))
+          : sendAccountDeactivated(res, owner);
+      }
     }
 
-    // Verify current password
-    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
-    if (!isPasswordValid) {
+    const result = await rotateRefreshToken(req.body.refreshToken);
+
+    if (result.error) {
       return res.status(401).json({
-        success: false,
-        error: 'Invalid current password',
-        message: 'Current password is incorrect'
+        error: 'Invalid refresh token',
+        message: result.error === 'reused'
+          ? 'Refresh token reuse detected, please log in again'
+          : 'Refresh token is invalid or expired, please log in again'
       });
     }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-
-    // Update user password
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { password: hashedPassword }
-    });
-
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Token refreshed successfully',
+      token: generateAccessToken(result.session),
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
     });
+
   } catch (error) {
-    console.error('Password change error:', error);
+    console.error('Token refresh error:', error);
     res.status(500).json({
-      success: false,
-      error: 'Failed to change password',
-      message: 'An error occurred while changing your password'
+      error: 'Token refresh failed',
+      message: 'An error occurred while refreshing your token'
     });
   }
 });
 
-// Verify token (for frontend to check if token is still valid)
-router.get('/verify', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Token is valid',
-    user: req.user
-  });
-});
-
-// Logout (client-side token removal, but we can track sessions if needed)
-router.post('/logout', authenticateToken, async (req, res) => {
+// Issue or renew an anonymous session for visitors who are not logged in.
+// A still-valid session is renewed under the same id so its trips are kept,
+// as is a legacy raw session id during the grace window.
+router.post('/anonymous-session', async (req, res) => {
   try {
-    // Here you could invalidate sessions in database if you're tracking them
-    // For now, we'll just return success as JWT tokens are stateless
-    
-    res.json({
+    const existingSessionId = getAnonymousSessionId(req) || await findLegacySessionId(req);
+    const session = createAnonymousSession(existingSessionId || undefined);
+
+    setAnonymousSessionCookie(res, session);
+
+    res.status(existingSessionId ? 200 : 201).json({
       success: true,
-      message: 'Logged out successfully'
+      message: existingSessionId ? 'Anonymous session renewed' : 'Anonymous session created',
+      sessionId: session.token,
+      expiresAt: session.expiresAt
     });
 
   } catch (error) {
-    console.error('Logout error:', error);
+    console.error('Anonymous session error:', error);
     res.status(500).json({
-      error: 'Logout failed',
-      message: 'An error occurred while logging out'
+      error: 'Failed to create session',
+      message: 'An error occurred while creating your session'
     });
   }
 });
 
-// Delete user account
-router.delete('/account', authenticateToken, async (req, res) => {
+// Request a password reset link
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
   try {
-    // Get user password for verification
-    const { password } = req.body;
-    
-    if (!password) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        success: false,
-        error: 'Password is required',
-        message: 'Please provide your password to confirm account deletion'
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
       });
     }
 
-    // Find user with password
+    const { email } = req.body;
+
     const user = await prisma.user.findUnique({
-      where: { id: req.user.id }
+      where: { email },
+      select: { id: true, email: true, firstName: true }
     });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-        message: 'User account could not be found'
+    if (user) {
+      const resetToken = generateSecureToken();
+
+      // Only the most recent link should work
+      await prisma.$transaction([
+        prisma.passwordResetToken.updateMany({
+          where: { userId: user.id, usedAt: null },
+          data: { usedAt: new Date() }
+        }),
+        prisma.passwordResetToken.create({
+          data: {
+            userId: user.id,
+            tokenHash: hashToken(resetToken),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+            requestedIp: req.ip || null
+          }
+        })
+      ]);
+
+      // Send in the background so response time doesn't reveal whether the account exists
+      sendPasswordResetEmail({
+        email: user.email,
+        name: user.firstName,
+        resetUrl: buildAppUrl('/reset-password', { token: resetToken }),
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+      }).then(emailResult => {
+        if (!emailResult.success) {
+          console.warn(`Failed to send password reset email to ${user.email}:`, emailResult.error);
+        }
       });
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    // Same response whether or not the email is registered
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Password reset request failed',
+      message: 'An error occurred while requesting a password reset'
+    });
+  }
+});
+
+// Reset password using an emailed token
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date()) {
+      return res.status(400).json({
+        error: 'Invalid reset token',
+        message: 'This password reset link is invalid or has expired'
+      });
+    }
+
+    // Consume the token; conditional so the link can only be used once
+    const { count } = await prisma.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({
+        error: 'Invalid reset token',
+        message: 'This password reset link is invalid or has expired'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+    await prisma.user.update({
+      where: { id: resetToken.userId },
+      data: { password: hashedPassword }
+    });
+
+    // Whoever had the old password shouldn't stay logged in
+    await revokeOtherSessions(resetToken.userId);
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      actorId: resetToken.userId,
+      targetType: 'user',
+      targetId: resetToken.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: 'An error occurred while resetting your password'
+    });
+  }
+});
+
+// Verify email address using an emailed token
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const payload = verifyActionToken('verify-email', req.body.token);
+    const user = payload && await prisma.user.findUnique({
+      where: { id: payload.userId },
+      select: { id: true, email: true, emailVerifiedAt: true }
+    });
+
+    if (!user || user.email !== payload.email) {
+      return res.status(400).json({
+        error: 'Invalid verification token',
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.emailVerifiedAt) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { emailVerifiedAt: new Date() }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      message: 'An error occurred while verifying your email'
+    });
+  }
+});
+
+// Resend the verification email
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, firstName: true, emailVerifiedAt: true, verificationEmailSentAt: true }
+    });
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'Your email address is already verified'
+      });
+    }
+
+    const secondsSinceLastEmail = user.verificationEmailSentAt
+      ? (Date.now() - user.verificationEmailSentAt.getTime()) / 1000
+      : Infinity;
+
+    if (secondsSinceLastEmail < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - secondsSinceLastEmail);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`
+      });
+    }
+
+    const emailResult = await sendVerificationLink(user);
+    if (!emailResult.success) {
+      return res.status(502).json({
+        error: 'Email not sent',
+        message: 'We could not send the verification email, please try again later'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification email',
+      message: 'An error occurred while sending the verification email'
+    });
+  }
+});
+
+// Get current user profile
+router.get('/profile', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        location: true,
+        bio: true,
+        role: true,
+        emailVerifiedAt: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'Your account could not be found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user
+    });
+
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch profile',
+      message: 'An error occurred while fetching your profile'
+    });
+  }
+});
+
+// Update user profile
+router.put('/profile', authenticateToken, async (req, res) => {
+  try {
+    const { name, email, location, bio } = req.body;
+    
+    // Login email changes need confirmation, see POST /email/change. Forms that
+    // send the current address back in another case or form are fine.
+    if (email && normalizeEmail(String(email).trim()) !== normalizeEmail(req.user.email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email change requires confirmation',
+        message: 'Use POST /api/auth/email/change to change your email address'
+      });
+    }
+
+    // Split name into firstName and lastName if provided
+    let firstName = undefined;
+    let lastName = undefined;
+    
+    if (name) {
+      const nameParts = name.trim().split(' ');
+      if (nameParts.length > 0) {
+        firstName = nameParts[0];
+        lastName = nameParts.length > 1 ? nameParts.slice(1).join(' ') : '';
+      }
+    }
+
+    // Update user profile
+    const updatedUser = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        ...(firstName !== undefined && { firstName }),
+        ...(lastName !== undefined && { lastName }),
+        ...(location !== undefined && { location }),
+        ...(bio !== undefined && { bio })
+      }
+    });
+
+    // Return sanitized user data
+    const userData = {
+      id: updatedUser.id,
+      name: `${updatedUser.firstName || ''} ${updatedUser.lastName || ''}`.trim(),
+      email: updatedUser.email,
+      location: updatedUser.location || '',
+      bio: updatedUser.bio || '',
+      role: updatedUser.role,
+      created_at: updatedUser.createdAt
+    };
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: userData
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      message: 'An error occurred while updating your profile'
+    });
+  }
+});
+
+// Get the current user's preferences, with defaults for anything not set
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      preferences: await getUserPreferences(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch preferences',
+      message: 'An error occurred while fetching your preferences'
+    });
+  }
+});
+
+// Describe the known preference keys, their allowed values and defaults
+router.get('/preferences/schema', (req, res) => {
+  res.json({
+    success: true,
+    schema: PREFERENCE_SCHEMA
+  });
+});
+
+// Update several preferences at once: { preferences: { currency: 'USD', units: null } }.
+// Null resets a key to its default. Nothing is saved unless every value is valid.
+router.put('/preferences', authenticateToken, [
+  body('preferences')
+    .isObject()
+    .withMessage('Preferences must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const changes = req.body.preferences;
+    const details = Object.entries(changes)
+      .map(([key, value]) => {
+        const message = value === null && PREFERENCE_KEYS.includes(key)
+          ? null
+          : validatePreference(key, value);
+        return message && { path: `preferences.${key}`, msg: message, value };
+      })
+      .filter(Boolean);
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details
+      });
+    }
+
+    const preferences = await updateUserPreferences(req.user.id, changes);
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      preferences
+    });
+
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      error: 'Failed to update preferences',
+      message: 'An error occurred while updating your preferences'
+    });
+  }
+});
+
+// Reset all preferences to their defaults
+router.delete('/preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Preferences reset to defaults',
+      preferences: await resetUserPreferences(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Reset preferences error:', error);
+    res.status(500).json({
+      error: 'Failed to reset preferences',
+      message: 'An error occurred while resetting your preferences'
+    });
+  }
+});
+
+// Reset a single preference to its default
+router.delete('/preferences/:key', authenticateToken, async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!PREFERENCE_KEYS.includes(key)) {
+      return res.status(404).json({
+        error: 'Preference not found',
+        message: `Unknown preference: ${key}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${key} reset to default`,
+      preferences: await resetUserPreferences(req.user.id, key)
+    });
+
+  } catch (error) {
+    console.error('Reset preference error:', error);
+    res.status(500).json({
+      error: 'Failed to reset preference',
+      message: 'An error occurred while resetting your preference'
+    });
+  }
+});
+
+// Request a login email change; the new address must confirm before it takes effect
+router.post('/email/change', authenticateToken, [
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('relinkTrackers')
+    .optional()
+    .isBoolean()
+    .withMessage('relinkTrackers must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { newEmail, password } = req.body;
+    const relinkTrackers = req.body.relinkTrackers === true || req.body.relinkTrackers === 'true';
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const isPasswordValid = await verifyPassword(user, password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        error: 'Invalid password',
+        message: 'Incorrect password provided'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        error: 'Same email',
+        message: 'This is already your email address'
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: newEmail }
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        error: 'Email already in use',
+        message: 'This email is already associated with another account'
+      });
+    }
+
+    // Only the latest request's link works; see POST /email/confirm
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { pendingEmail: newEmail }
+    });
+
+    // Bound to the current address, so the link can't be replayed once the email has changed
+    const token = signActionToken('change-email', {
+      userId: user.id,
+      oldEmail: user.email,
+      newEmail,
+      relinkTrackers
+    }, EMAIL_CHANGE_TTL);
+
+    const [confirmResult, noticeResult] = await Promise.all([
+      sendEmailChangeConfirmationEmail({
+        email: newEmail,
+        name: user.firstName,
+        confirmUrl: buildAppUrl('/confirm-email-change', { token })
+      }),
+      sendEmailChangeNoticeEmail({
+        email: user.email,
+        name: user.firstName,
+        newEmail
+      })
+    ]);
+
+    if (!noticeResult.success) {
+      console.warn(`Failed to send email change notice to ${user.email}:`, noticeResult.error);
+    }
+
+    if (!confirmResult.success) {
+      return res.status(502).json({
+        error: 'Email not sent',
+        message: 'We could not send the confirmation email, please try again later'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `A confirmation link has been sent to ${newEmail}`
+    });
+
+  } catch (error) {
+    console.error('Email change request error:', error);
+    res.status(500).json({
+      error: 'Failed to request email change',
+      message: 'An error occurred while requesting the email change'
+    });
+  }
+});
+
+// Confirm a login email change from the link sent to the new address
+router.post('/email/confirm', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Confirmation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const payload = verifyActionToken('change-email', req.body.token);
+    const user = payload && await prisma.user.findUnique({
+      where: { id: payload.userId },
+      select: { id: true, email: true, pendingEmail: true }
+    });
+
+    if (!user || user.email !== payload.oldEmail || user.pendingEmail !== payload.newEmail) {
+      return res.status(400).json({
+        error: 'Invalid confirmation token',
+        message: 'This confirmation link is invalid or has expired'
+      });
+    }
+
+    // Another account may have taken the address since the change was requested
+    const sendEmailTaken = async () => {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { pendingEmail: null }
+      });
+
+      return res.status(409).json({
+        error: 'Email already in use',
+        message: 'This email is already associated with another account'
+      });
+    };
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: payload.newEmail }
+    });
+
+    if (existingUser) {
+      return sendEmailTaken();
+    }
+
+    let result;
+    try {
+      result = await prisma.$transaction(async (tx) => {
+        const updatedUser = await tx.user.update({
+          where: { id: user.id },
+          data: {
+            email: payload.newEmail,
+            pendingEmail: null,
+            // Confirming the link proves ownership of the new address
+            emailVerifiedAt: new Date()
+          },
+          select: { id: true, email: true, emailVerifiedAt: true }
+        });
+
+        // Trackers are keyed by email, so move them along if the user asked to
+        let relinkedTrackers = 0;
+        if (payload.relinkTrackers) {
+          const relinked = await tx.tripTracker.updateMany({
+            where: { email: payload.oldEmail },
+            data: { email: payload.newEmail }
+          });
+          relinkedTrackers = relinked.count;
+        }
+
+        return { updatedUser, relinkedTrackers };
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return sendEmailTaken();
+      }
+      throw error;
+    }
+
+    const { updatedUser, relinkedTrackers } = result;
+
+    await recordAudit(req, {
+      action: 'auth.email_changed',
+      actorId: user.id,
+      targetType: 'user',
+      targetId: user.id,
+      before: { email: payload.oldEmail },
+      after: { email: payload.newEmail, relinkedTrackers }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully',
+      user: updatedUser,
+      relinkedTrackers
+    });
+
+  } catch (error) {
+    console.error('Email change confirmation error:', error);
+    res.status(500).json({
+      error: 'Failed to confirm email change',
+      message: 'An error occurred while changing your email address'
+    });
+  }
+});
+
+// Change password
+router.put('/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Current password and new password are required'
+      });
+    }
+
+    // Validate new password
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid new password',
+        message: 'New password must be at least 6 characters long'
+      });
+    }
+
+    // Find user with password
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'User account could not be found'
+      });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'No password set',
+        message: 'Your account uses social login. Use forgot password to set a password.'
+      });
+    }
+
+    // Verify current password
+    const isPasswordValid = await verifyPassword(user, currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid current password',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Hash new password
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    // Update user password
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: hashedPassword }
+    });
+
+    // Sign out every other device that knew the old password
+    const revokedSessions = await revokeOtherSessions(user.id, req.authSession.sessionId);
+
+    await recordAudit(req, {
+      action: 'auth.password_changed',
+      targetType: 'user',
+      targetId: user.id,
+      after: { revokedSessions }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+      message: 'An error occurred while changing your password'
+    });
+  }
+});
+
+// Start two-factor enrollment: returns a secret and otpauth URI for an authenticator app
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabledAt) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = generateTwoFactorSecret(req.user.email);
+
+    // Stored as pending until confirmed with a valid code
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { twoFactorSecret: secret, twoFactorLastStep: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Failed to set up two-factor authentication',
+      message: 'An error occurred while setting up two-factor authentication'
+    });
+  }
+});
+
+// Confirm two-factor enrollment with a code from the authenticator app
+router.post('/2fa/confirm', authenticateToken, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (user.twoFactorEnabledAt) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        error: 'Setup required',
+        message: 'Start two-factor setup before confirming'
+      });
+    }
+
+    if (!(await verifyTotpCode(user, req.body.code))) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabledAt: new Date() }
+    });
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    await recordAudit(req, {
+      action: 'auth.2fa_enabled',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      message: 'An error occurred while enabling two-factor authentication'
+    });
+  }
+});
+
+// Generate a new set of recovery codes (invalidates the old ones)
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifyTotpCode(user, req.body.code))) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    await recordAudit(req, {
+      action: 'auth.2fa_recovery_codes_regenerated',
+      targetType: 'user',
+      targetId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery code generation error:', error);
+    res.status(500).json({
+      error: 'Failed to generate recovery codes',
+      message: 'An error occurred while generating recovery codes'
+    });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/2fa/disable', authenticateToken, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await verifyPassword(user, password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        error: 'Invalid password',
+        message: 'Incorrect password provided'
+      });
+    }
+
+    const isSecondFactorValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isSecondFactorValid) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          twoFactorSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastStep: null
+        }
+      })
+    ]);
+
+    await recordAudit(req, {
+      action: 'auth.2fa_disabled',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      message: 'An error occurred while disabling two-factor authentication'
+    });
+  }
+});
+
+// Verify token (for frontend to check if token is still valid)
+router.get('/verify', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    message: 'Token is valid',
+    user: req.user,
+    ...(req.authSession.impersonatorId && {
+      impersonation: {
+        impersonatorId: req.authSession.impersonatorId,
+        reason: req.authSession.impersonationReason,
+        expiresAt: req.authSession.expiresAt
+      }
+    })
+  });
+});
+
+// Logout (revokes the current session)
+router.post('/logout', allowDuringImpersonation, authenticateToken, async (req, res) => {
+  try {
+    // Revoke the session so neither its access nor refresh tokens can be used
+    await revokeSession(req.authSession.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'An error occurred while logging out'
+    });
+  }
+});
+
+// List active sessions (devices) for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session.sessionId === req.authSession.sessionId,
+        impersonated: Boolean(session.impersonatorId)
+      }))
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      message: 'An error occurred while fetching your sessions'
+    });
+  }
+});
+
+// Log out everywhere else (revoke all sessions except the current one)
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revokedSessions = await revokeOtherSessions(req.user.id, req.authSession.sessionId);
+
+    await recordAudit(req, {
+      action: 'auth.sessions_revoked',
+      targetType: 'user',
+      targetId: req.user.id,
+      after: { revokedSessions }
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all other sessions',
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: 'An error occurred while revoking your sessions'
+    });
+  }
+});
+
+// Revoke a specific session
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await prisma.userSession.findFirst({
+      where: {
+        id: parseInt(req.params.id) || 0,
+        userId: req.user.id,
+        revokedAt: null
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'The specified session could not be found'
+      });
+    }
+
+    await revokeSession(session.sessionId);
+
+    await recordAudit(req, {
+      action: 'auth.session_revoked',
+      targetType: 'session',
+      targetId: session.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      current: session.sessionId === req.authSession.sessionId
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: 'An error occurred while revoking the session'
+    });
+  }
+});
+
+// Request a copy of all personal data. The export is built in the background;
+// the returned link (also emailed) works once it is ready.
+router.post('/export', authenticateToken, async (req, res) => {
+  try {
+    const findInProgress = () => prisma.dataExport.findFirst({
+      where: {
+        userId: req.user.id,
+        status: { in: ['pending', 'processing'] }
+      }
+    });
+
+    const sendInProgress = (inProgress) => res.status(409).json({
+      error: 'Export in progress',
+      message: 'Your previous export is still being prepared',
+      exportId: inProgress ? inProgress.id : undefined
+    });
+
+    const inProgress = await findInProgress();
+    if (inProgress) {
+      return sendInProgress(inProgress);
+    }
+
+    // The unique activeUserId turns a second request racing this one into P2002
+    const downloadToken = generateSecureToken();
+    let dataExport;
+    try {
+      dataExport = await prisma.dataExport.create({
+        data: {
+          userId: req.user.id,
+          activeUserId: req.user.id,
+          tokenHash: hashToken(downloadToken)
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return sendInProgress(await findInProgress());
+      }
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'auth.data_export_requested',
+      targetType: 'data_export',
+      targetId: dataExport.id
+    });
+
+    // Tidy up old payloads, then build this one after the response is sent
+    setImmediate(() => {
+      purgeExpiredDataExports()
+        .catch(error => console.error('Data export purge error:', error))
+        .then(() => processDataExport(dataExport.id, downloadToken));
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Your export is being prepared. We'll email you when it's ready.",
+      export: {
+        id: dataExport.id,
+        status: dataExport.status,
+        createdAt: dataExport.createdAt
+      },
+      downloadUrl: `/api/auth/export/${dataExport.id}/download?token=${downloadToken}`
+    });
+
+  } catch (error) {
+    console.error('Data export request error:', error);
+    res.status(500).json({
+      error: 'Failed to request export',
+      message: 'An error occurred while requesting your data export'
+    });
+  }
+});
+
+// Check the status of a data export
+router.get('/export/:id', authenticateToken, async (req, res) => {
+  try {
+    const dataExport = await prisma.dataExport.findFirst({
+      where: {
+        id: parseInt(req.params.id) || 0,
+        userId: req.user.id
+      },
+      select: {
+        id: true,
+        status: true,
+        sizeBytes: true,
+        error: true,
+        createdAt: true,
+        completedAt: true,
+        expiresAt: true
+      }
+    });
+
+    if (!dataExport) {
+      return res.status(404).json({
+        error: 'Export not found',
+        message: 'The specified export could not be found'
+      });
+    }
+
+    res.json({
+      success: true,
+      export: dataExport
+    });
+
+  } catch (error) {
+    console.error('Data export status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch export',
+      message: 'An error occurred while fetching your data export'
+    });
+  }
+});
+
+// Download a finished data export. The link's token is the only credential,
+// so it can be opened straight from the email.
+router.get('/export/:id/download', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    const dataExport = token && await prisma.dataExport.findUnique({
+      where: { tokenHash: hashToken(String(token)) }
+    });
+
+    const isExpired = dataExport && dataExport.expiresAt && dataExport.expiresAt <= new Date();
+    if (!dataExport || dataExport.id !== parseInt(req.params.id) || isExpired) {
+      return res.status(404).json({
+        error: 'Export not found',
+        message: 'This download link is invalid or has expired'
+      });
+    }
+
+    if (dataExport.status !== 'ready') {
+      return res.status(409).json({
+        error: 'Export not ready',
+        message: dataExport.status === 'failed'
+          ? 'This export failed, please request a new one'
+          : 'Your export is still being prepared',
+        status: dataExport.status
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'auth.data_export_downloaded',
+      actorId: dataExport.userId,
+      targetType: 'data_export',
+      targetId: dataExport.id
+    });
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="wertigo-data-export-${dataExport.id}.json"`);
+    res.send(JSON.stringify(dataExport.data, null, 2));
+
+  } catch (error) {
+    console.error('Data export download error:', error);
+    res.status(500).json({
+      error: 'Failed to download export',
+      message: 'An error occurred while downloading your data export'
+    });
+  }
+});
+
+// Delete user account
+router.delete('/account', authenticateToken, async (req, res) => {
+  try {
+    // Get user password for verification
+    const { password } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is required',
+        message: 'Please provide your password to confirm account deletion'
+      });
+    }
+
+    // Find user with password
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'User account could not be found'
+      });
+    }
+
+    // Verify password
+    const isPasswordValid = await verifyPassword(user, password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
         success: false,
         error: 'Invalid password',
         message: 'Incorrect password provided'
       });
     }
 
-    // Delete all related data first (cascade delete may not catch everything)
-    await prisma.$transaction([
-      prisma.userSession.deleteMany({ where: { userId: user.id } }),
-      prisma.userPreference.deleteMany({ where: { userId: user.id } }),
-      prisma.savedTrip.deleteMany({ where: { userId: user.id } }),
-      // Update trips to set userId to null instead of deleting them
-      prisma.trip.updateMany({ 
-        where: { userId: user.id },
-        data: { userId: null }
-      }),
-      // Delete the user
-      prisma.user.delete({ where: { id: user.id } })
-    ]);
+    // Deactivate now and purge after the grace period; see utils/accountDeletion.js
+    const deletionScheduledFor = deletionDateFromNow();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        deactivatedAt: new Date(),
+        deletionScheduledFor
+      }
+    });
+
+    await revokeOtherSessions(user.id);
+
+    await recordAudit(req, {
+      action: 'auth.account_deactivated',
+      targetType: 'user',
+      targetId: user.id,
+      after: { deletionScheduledFor }
+    });
+
+    // Tied to this deletion, so the link stops working once the account is
+    // restored or deleted again
+    const restoreToken = signActionToken('account-restore', {
+      userId: user.id,
+      deletionScheduledFor: deletionScheduledFor.toISOString()
+    }, `${ACCOUNT_DELETION_GRACE_DAYS}d`);
+    sendAccountDeletionScheduledEmail({
+      email: user.email,
+      name: user.firstName,
+      restoreUrl: buildAppUrl('/account/restore', { token: restoreToken }),
+      deletionDate: deletionScheduledFor
+    }).catch(error => console.error('Account deletion email error:', error));
 
     res.json({
       success: true,
-      message: 'Account deleted successfully'
+      message: `Account deactivated and scheduled for deletion in ${ACCOUNT_DELETION_GRACE_DAYS} days`,
+      deletionScheduledFor
     });
   } catch (error) {
     console.error('Account deletion error:', error);
@@ -468,10 +2009,137 @@ router.delete('/account', authenticateToken, async (req, res) => {
   }
 });
 
+// Restore an account during its deletion grace period, with the emailed link
+// or the account's credentials. Logs the user back in.
+router.post('/account/restore', [
+  body('token')
+    .optional()
+    .isString()
+    .withMessage('Restore token must be a string'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { token, email, password } = req.body;
+    let user = null;
+
+    if (token) {
+      const payload = verifyActionToken('account-restore', token);
+      const candidate = payload && await prisma.user.findUnique({ where: { id: payload.userId } });
+      if (candidate?.deletionScheduledFor?.toISOString() === payload?.deletionScheduledFor) {
+        user = candidate;
+      }
+    } else if (email && password) {
+      const throttle = await checkLoginAllowed(email, req.ip);
+      if (!throttle.allowed) {
+        return sendLoginThrottled(res, throttle.retryAfter);
+      }
+
+      const candidate = await prisma.user.findUnique({ where: { email } });
+      if (candidate && await verifyPassword(candidate, password)) {
+        const lockRetryAfter = await getAccountLockRetryAfter(email);
+        if (lockRetryAfter > 0) {
+          return sendLoginThrottled(res, lockRetryAfter);
+        }
+
+        user = candidate;
+        await clearAccountFailures(email);
+      } else {
+        await handleFailedLogin(email, req, candidate);
+      }
+    } else {
+      return res.status(400).json({
+        error: 'Missing parameters',
+        message: 'Provide either a restore token or your email and password'
+      });
+    }
+
+    if (!user || !user.deactivatedAt) {
+      return res.status(400).json({
+        error: 'Cannot restore account',
+        message: 'This account does not exist or is not scheduled for deletion'
+      });
+    }
+
+    // Only restore the deletion that was checked above, so a token can't be used twice
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, deletionScheduledFor: user.deletionScheduledFor },
+      data: {
+        deactivatedAt: null,
+        deletionScheduledFor: null
+      }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({
+        error: 'Cannot restore account',
+        message: 'This account does not exist or is not scheduled for deletion'
+      });
+    }
+
+    const restoredUser = await prisma.user.findUnique({ where: { id: user.id } });
+
+    await recordAudit(req, {
+      action: 'auth.account_restored',
+      actorId: user.id,
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    const suspension = getActiveSuspension(restoredUser);
+    if (suspension) {
+      return res.status(403).json(suspendedResponse(suspension));
+    }
+
+    // The account is back either way; 2FA users finish logging in with the challenge
+    if (restoredUser.twoFactorEnabledAt) {
+      return res.json({
+        success: true,
+        message: 'Account restored. Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signActionToken('2fa-challenge', { userId: restoredUser.id }, TWO_FACTOR_CHALLENGE_TTL)
+      });
+    }
+
+    const tokens = await issueSessionTokens(restoredUser.id, req);
+    const { password: _, twoFactorSecret: __, ...userWithoutPassword } = restoredUser;
+
+    res.json({
+      success: true,
+      message: 'Account restored successfully',
+      user: userWithoutPassword,
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Account restore error:', error);
+    res.status(500).json({
+      error: 'Failed to restore account',
+      message: 'An error occurred while restoring your account'
+    });
+  }
+});
+
 // Admin routes for user management
 router.get('/admin/users', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { page = 1, limit = 50, role, search } = req.query;
+    const { page = 1, limit = 50, role, search, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build where clause
@@ -481,6 +2149,17 @@ router.get('/admin/users', authenticateToken, requireAdmin, async (req, res) =>
       where.role = role;
     }
 
+    if (status === 'suspended') {
+      where.suspendedAt = { not: null };
+      where.AND = [
+        { OR: [{ suspendedUntil: null }, { suspendedUntil: { gt: new Date() } }] }
+      ];
+    }
+
+    if (status === 'deactivated') {
+      where.deactivatedAt = { not: null };
+    }
+
     if (search) {
       where.OR = [
         { username: { contains: search, mode: 'insensitive' } },
@@ -501,6 +2180,11 @@ router.get('/admin/users', authenticateToken, requireAdmin, async (req, res) =>
           firstName: true,
           lastName: true,
           role: true,
+          suspendedAt: true,
+          suspendedUntil: true,
+          suspensionReason: true,
+          deactivatedAt: true,
+          deletionScheduledFor: true,
           createdAt: true,
           updatedAt: true,
           _count: {
@@ -539,11 +2223,22 @@ router.get('/admin/users', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
+// List assignable roles and the permissions each grants (admin only)
+router.get('/admin/roles', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLES.map(role => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role]
+    }))
+  });
+});
+
 // Update user role (admin only)
 router.put('/admin/users/:userId/role', authenticateToken, requireAdmin, [
   body('role')
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either "user" or "admin"')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -559,13 +2254,25 @@ router.put('/admin/users/:userId/role', authenticateToken, requireAdmin, [
     const { role } = req.body;
 
     // Prevent admin from demoting themselves
-    if (parseInt(userId) === req.user.id && role === 'user') {
+    if (parseInt(userId) === req.user.id && role !== 'admin') {
       return res.status(400).json({
         error: 'Cannot demote yourself',
         message: 'You cannot remove your own admin privileges'
       });
     }
 
+    const existingUser = await prisma.user.findUnique({
+      where: { id: parseInt(userId) },
+      select: { role: true }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The specified user does not exist'
+      });
+    }
+
     const updatedUser = await prisma.user.update({
       where: { id: parseInt(userId) },
       data: { role },
@@ -580,6 +2287,14 @@ router.put('/admin/users/:userId/role', authenticateToken, requireAdmin, [
       }
     });
 
+    await recordAudit(req, {
+      action: 'admin.role_changed',
+      targetType: 'user',
+      targetId: updatedUser.id,
+      before: { role: existingUser.role },
+      after: { role }
+    });
+
     res.json({
       success: true,
       message: `User role updated to ${role}`,
@@ -602,8 +2317,308 @@ router.put('/admin/users/:userId/role', authenticateToken, requireAdmin, [
   }
 });
 
+// Suspend a user, optionally until a given date. Without an end date this is a ban. (admin only)
+router.post('/admin/users/:userId/suspend', authenticateToken, requireAdmin, [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and must be at most 500 characters'),
+  body('until')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Until must be a valid ISO date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Until must be in the future')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.userId);
+    const { reason, until } = req.body;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        error: 'Cannot suspend yourself',
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        suspendedAt: new Date(),
+        suspendedUntil: until ? new Date(until) : null,
+        suspensionReason: reason,
+        suspendedById: req.user.id
+      },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        role: true,
+        suspendedAt: true,
+        suspendedUntil: true,
+        suspensionReason: true
+      }
+    });
+
+    // Sign the user out everywhere
+    const revokedSessions = await revokeOtherSessions(userId);
+
+    await recordAudit(req, {
+      action: until ? 'admin.user_suspended' : 'admin.user_banned',
+      targetType: 'user',
+      targetId: userId,
+      after: { reason, suspendedUntil: updatedUser.suspendedUntil, revokedSessions }
+    });
+
+    res.json({
+      success: true,
+      message: until ? `User suspended until ${new Date(until).toISOString()}` : 'User banned',
+      user: updatedUser,
+      revokedSessions
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The specified user does not exist'
+      });
+    }
+
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({
+      error: 'Failed to suspend user',
+      message: 'An error occurred while suspending the user'
+    });
+  }
+});
+
+// Lift a suspension or ban (admin only)
+router.post('/admin/users/:userId/unsuspend', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const updatedUser = await prisma.user.update({
+      where: { id: parseInt(req.params.userId) },
+      data: {
+        suspendedAt: null,
+        suspendedUntil: null,
+        suspensionReason: null,
+        suspendedById: null
+      },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        role: true
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'admin.user_unsuspended',
+      targetType: 'user',
+      targetId: updatedUser.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Suspension lifted',
+      user: updatedUser
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The specified user does not exist'
+      });
+    }
+
+    console.error('Admin unsuspend user error:', error);
+    res.status(500).json({
+      error: 'Failed to lift suspension',
+      message: 'An error occurred while lifting the suspension'
+    });
+  }
+});
+
+// Get a short-lived token to see the app as a user, for support debugging (admin only).
+// The session records who impersonated and why, and can't change account security settings.
+router.post('/admin/users/:userId/impersonate', authenticateToken, requireAdmin, [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and must be at most 500 characters'),
+  body('minutes')
+    .optional()
+    .isInt({ min: 1, max: IMPERSONATION_MAX_MINUTES })
+    .withMessage(`Minutes must be between 1 and ${IMPERSONATION_MAX_MINUTES}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.userId);
+    const { reason, minutes = IMPERSONATION_DEFAULT_MINUTES } = req.body;
+
+    const targetUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true, email: true, role: true }
+    });
+
+    if (!targetUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The specified user does not exist'
+      });
+    }
+
+    if (targetUser.id === req.user.id || targetUser.role === 'admin') {
+      return res.status(403).json({
+        error: 'Cannot impersonate',
+        message: 'Admin accounts cannot be impersonated'
+      });
+    }
+
+    const { session, token, expiresIn } = await createImpersonationSession(
+      targetUser.id,
+      req.user.id,
+      reason,
+      parseInt(minutes),
+      req
+    );
+
+    await recordAudit(req, {
+      action: 'admin.impersonation_started',
+      targetType: 'user',
+      targetId: targetUser.id,
+      after: { reason, sessionId: session.id, expiresAt: session.expiresAt }
+    });
+
+    res.json({
+      success: true,
+      message: `Impersonating ${targetUser.username}`,
+      user: targetUser,
+      token,
+      expiresIn,
+      expiresAt: session.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Admin impersonation error:', error);
+    res.status(500).json({
+      error: 'Failed to impersonate user',
+      message: 'An error occurred while starting impersonation'
+    });
+  }
+});
+
+// List failed login tracking and lockouts (admin only)
+router.get('/admin/lockouts', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { scope, lockedOnly = 'false', page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {};
+
+    if (scope && scope !== 'all') {
+      where.scope = scope;
+    }
+
+    if (lockedOnly === 'true') {
+      where.lockedUntil = { gt: new Date() };
+    }
+
+    const [lockouts, total] = await Promise.all([
+      prisma.loginThrottle.findMany({
+        where,
+        orderBy: { lastFailedAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.loginThrottle.count({ where })
+    ]);
+
+    const now = new Date();
+
+    res.json({
+      success: true,
+      lockouts: lockouts.map(lockout => ({
+        ...lockout,
+        isLocked: Boolean(lockout.lockedUntil && lockout.lockedUntil > now)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch lockouts',
+      message: 'An error occurred while fetching lockouts'
+    });
+  }
+});
+
+// Clear a lockout (admin only)
+router.delete('/admin/lockouts/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const lockout = await prisma.loginThrottle.delete({
+      where: { id: parseInt(req.params.id) || 0 }
+    });
+
+    await recordAudit(req, {
+      action: 'admin.lockout_cleared',
+      targetType: 'login_throttle',
+      targetId: lockout.id,
+      before: {
+        scope: lockout.scope,
+        key: lockout.key,
+        failedCount: lockout.failedCount,
+        lockedUntil: lockout.lockedUntil
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'Lockout not found',
+        message: 'The specified lockout does not exist'
+      });
+    }
+
+    console.error('Clear lockout error:', error);
+    res.status(500).json({
+      error: 'Failed to clear lockout',
+      message: 'An error occurred while clearing the lockout'
+    });
+  }
+});
+
 // Get user statistics (admin only)
-router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/admin/stats', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
   try {
     const now = new Date();
     const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
@@ -726,7 +2741,7 @@ router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
 });
 
 // Get detailed user analytics (admin only)
-router.get('/admin/analytics/users', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/admin/analytics/users', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
@@ -0,0 +1,493 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, param, query, validationResult } = require('express-validator');
+const { optionalAuth } = require('../middleware/auth');
+const { findOwnedTrip } = require('../utils/tripAccess');
+const { PREFERENCE_SCHEMA } = require('../utils/preferences');
+const { buildBudgetSummary } = require('../utils/tripBudget');
+const { SPLIT_MODES, computeSplit, settleUp } = require('../utils/expenseSplit');
+
+// Mounted under /api/trips/:tripId/expenses, so trip ownership rules (and the
+// anonymous session middleware) come from the trips router
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+const CURRENCIES = PREFERENCE_SCHEMA.currency.values;
+const EXPENSE_CATEGORIES = ['lodging', 'transport', 'food', 'activities', 'shopping', 'fees', 'other'];
+
+// Validation middleware
+const validateExpense = [
+  body('description').trim().notEmpty().isLength({ max: 255 }).withMessage('Description is required (max 255 characters)'),
+  body('amount').isFloat({ min: 0.01, max: 99999999.99 }).withMessage('Amount must be a positive number'),
+  body('currency').optional().isIn(CURRENCIES).withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+  body('category').optional().isIn(EXPENSE_CATEGORIES).withMessage(`Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`),
+  body('destinationId').optional({ nullable: true }).isInt().withMessage('Destination ID must be an integer'),
+  body('paidBy').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Paid by must be max 100 characters'),
+  body('paidById').optional({ nullable: true }).isInt().withMessage('Payer must be a traveler ID'),
+  body('split').optional({ nullable: true }).isObject().withMessage('Split must be an object'),
+  body('split.mode').if(body('split').isObject()).isIn(SPLIT_MODES).withMessage(`Split mode must be one of: ${SPLIT_MODES.join(', ')}`),
+  body('split.travelers').optional().isArray({ min: 1 }).withMessage('Split travelers must be a non-empty array'),
+  body('split.travelers.*.travelerId').isInt().withMessage('Split traveler IDs must be integers').toInt(),
+  body('split.travelers.*.shares').optional().isInt({ min: 1 }).withMessage('Shares must be whole numbers of at least 1').toInt(),
+  body('split.travelers.*.amount').optional().isFloat({ min: 0 }).withMessage('Split amounts must be non-negative numbers'),
+  body('spentOn').optional({ nullable: true }).isISO8601().withMessage('Spent on must be a valid ISO date'),
+  body('notes').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Notes must be max 1000 characters'),
+];
+
+// Same fields as validateExpense, all optional, for partial updates
+const validateExpenseUpdate = [
+  body('description').optional().trim().notEmpty().isLength({ max: 255 }).withMessage('Description must be 1-255 characters'),
+  body('amount').optional().isFloat({ min: 0.01, max: 99999999.99 }).withMessage('Amount must be a positive number'),
+  body('currency').optional().isIn(CURRENCIES).withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+  body('category').optional().isIn(EXPENSE_CATEGORIES).withMessage(`Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`),
+  body('destinationId').optional({ nullable: true }).isInt().withMessage('Destination ID must be an integer'),
+  body('paidBy').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Paid by must be max 100 characters'),
+  body('paidById').optional({ nullable: true }).isInt().withMessage('Payer must be a traveler ID'),
+  body('split').optional({ nullable: true }).isObject().withMessage('Split must be an object'),
+  body('split.mode').if(body('split').isObject()).isIn(SPLIT_MODES).withMessage(`Split mode must be one of: ${SPLIT_MODES.join(', ')}`),
+  body('split.travelers').optional().isArray({ min: 1 }).withMessage('Split travelers must be a non-empty array'),
+  body('split.travelers.*.travelerId').isInt().withMessage('Split traveler IDs must be integers').toInt(),
+  body('split.travelers.*.shares').optional().isInt({ min: 1 }).withMessage('Shares must be whole numbers of at least 1').toInt(),
+  body('split.travelers.*.amount').optional().isFloat({ min: 0 }).withMessage('Split amounts must be non-negative numbers'),
+  body('spentOn').optional({ nullable: true }).isISO8601().withMessage('Spent on must be a valid ISO date'),
+  body('notes').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Notes must be max 1000 characters'),
+];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const expenseInclude = {
+  destination: {
+    select: { id: true, name: true }
+  },
+  payer: {
+    select: { id: true, name: true }
+  },
+  shares: {
+    include: {
+      traveler: { select: { id: true, name: true } }
+    }
+  }
+};
+
+// Check that a destination belongs to the trip. Null (no destination) is always fine.
+const isTripDestination = async (tripId, destinationId) => {
+  if (destinationId === null || destinationId === undefined) {
+    return true;
+  }
+
+  const destination = await prisma.tripDestination.findFirst({
+    where: { id: parseInt(destinationId), tripId },
+    select: { id: true }
+  });
+
+  return Boolean(destination);
+};
+
+// Check that a traveler belongs to the trip. Null (no payer) is always fine.
+const isTripTraveler = async (tripId, travelerId) => {
+  if (travelerId === null || travelerId === undefined) {
+    return true;
+  }
+
+  const traveler = await prisma.tripTraveler.findFirst({
+    where: { id: parseInt(travelerId), tripId },
+    select: { id: true }
+  });
+
+  return Boolean(traveler);
+};
+
+// Turn a split request into ExpenseShare rows. Without a traveler list the
+// expense is split equally between everyone on the trip.
+// Returns { shares } or { error }.
+const buildShares = async (tripId, amount, split) => {
+  const tripTravelers = await prisma.tripTraveler.findMany({
+    where: { tripId },
+    select: { id: true }
+  });
+  const tripTravelerIds = new Set(tripTravelers.map(traveler => traveler.id));
+
+  let participants = split.travelers;
+  if (!participants) {
+    if (split.mode !== 'equal') {
+      return { error: `A ${split.mode} split needs a list of travelers` };
+    }
+    participants = tripTravelers.map(traveler => ({ travelerId: traveler.id }));
+  }
+
+  if (participants.some(participant => !tripTravelerIds.has(participant.travelerId))) {
+    return { error: 'Every traveler in a split must be on this trip' };
+  }
+
+  return computeSplit(amount, split.mode, participants);
+};
+
+// List a trip's expenses, optionally filtered by category or destination
+router.get('/', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), [
+  query('category').optional().isIn(EXPENSE_CATEGORIES).withMessage(`Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`),
+  query('destinationId').optional().isInt().withMessage('Destination ID must be an integer'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { category, destinationId } = req.query;
+
+    const trip = await findOwnedTrip(req, tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const where = { tripId };
+    if (category) where.category = category;
+    if (destinationId) where.destinationId = parseInt(destinationId);
+
+    const expenses = await prisma.tripExpense.findMany({
+      where,
+      include: expenseInclude,
+      orderBy: [{ spentOn: 'desc' }, { createdAt: 'desc' }]
+    });
+
+    res.json({
+      success: true,
+      expenses
+    });
+  } catch (error) {
+    console.error('Error getting expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get expenses',
+      error: error.message
+    });
+  }
+});
+
+// Compare actual spending against the trip and destination budgets
+router.get('/summary', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await findOwnedTrip(req, tripId, {
+      include: {
+        destinations: {
+          orderBy: { orderIndex: 'asc' },
+          select: { id: true, name: true, budget: true }
+        },
+        expenses: {
+          select: { amount: true, currency: true, category: true, destinationId: true }
+        }
+      }
+    });
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      summary: buildBudgetSummary(trip, trip.destinations, trip.expenses)
+    });
+  } catch (error) {
+    console.error('Error getting budget summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get budget summary',
+      error: error.message
+    });
+  }
+});
+
+// Work out the transfers that settle everyone's split expenses
+router.get('/settle-up', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), handleValidationErrors, async (req, res) => {
+  try {
+    const trip = await findOwnedTrip(req, req.params.tripId, {
+      include: {
+        tripTravelers: {
+          select: { id: true, name: true }
+        },
+        expenses: {
+          where: { splitMode: { not: null } },
+          select: {
+            amount: true,
+            currency: true,
+            paidById: true,
+            shares: {
+              select: { travelerId: true, amount: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      tripId: trip.id,
+      ...settleUp(trip.tripTravelers, trip.expenses)
+    });
+  } catch (error) {
+    console.error('Error settling up expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to settle up expenses',
+      error: error.message
+    });
+  }
+});
+
+// Add an expense to a trip. Currency defaults to the trip's currency.
+router.post('/', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), validateExpense, handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { description, amount, currency, category, destinationId, paidBy, paidById, split, spentOn, notes } = req.body;
+
+    const trip = await findOwnedTrip(req, tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (!(await isTripDestination(tripId, destinationId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Destination not found in this trip'
+      });
+    }
+
+    if (!(await isTripTraveler(tripId, paidById))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payer must be a traveler on this trip'
+      });
+    }
+
+    let shares = [];
+    if (split) {
+      const result = await buildShares(tripId, amount, split);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      shares = result.shares;
+    }
+
+    const expense = await prisma.tripExpense.create({
+      data: {
+        tripId,
+        description,
+        amount: parseFloat(amount),
+        currency: currency || trip.currency,
+        category: category || 'other',
+        destinationId: destinationId ? parseInt(destinationId) : null,
+        paidBy: paidBy || null,
+        paidById: paidById ? parseInt(paidById) : null,
+        splitMode: split ? split.mode : null,
+        spentOn: spentOn ? new Date(spentOn) : null,
+        notes: notes || null,
+        shares: {
+          create: shares
+        }
+      },
+      include: expenseInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense added successfully',
+      expense
+    });
+  } catch (error) {
+    console.error('Error adding expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add expense',
+      error: error.message
+    });
+  }
+});
+
+// Update an expense
+router.patch('/:expenseId', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), param('expenseId').isInt(), validateExpenseUpdate, handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId, expenseId } = req.params;
+
+    const trip = await findOwnedTrip(req, tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const expense = await prisma.tripExpense.findFirst({
+      where: { id: parseInt(expenseId), tripId }
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found in this trip'
+      });
+    }
+
+    const { description, amount, currency, category, destinationId, paidBy, paidById, split, spentOn, notes } = req.body;
+
+    if (!(await isTripDestination(tripId, destinationId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Destination not found in this trip'
+      });
+    }
+
+    if (!(await isTripTraveler(tripId, paidById))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payer must be a traveler on this trip'
+      });
+    }
+
+    // A new amount re-divides an existing split with the same travelers and
+    // shares; exact amounts can't be re-divided, so they must be sent again
+    let newSplit = split;
+    if (split === undefined && amount !== undefined && expense.splitMode) {
+      if (expense.splitMode === 'exact') {
+        return res.status(400).json({
+          success: false,
+          message: 'Send a new exact split when changing the amount of an exactly split expense'
+        });
+      }
+
+      const existingShares = await prisma.expenseShare.findMany({
+        where: { expenseId: expense.id },
+        orderBy: { id: 'asc' }
+      });
+      newSplit = {
+        mode: expense.splitMode,
+        travelers: existingShares.map(share => ({ travelerId: share.travelerId, shares: share.shares }))
+      };
+    }
+
+    let shares = null;
+    if (newSplit) {
+      const result = await buildShares(tripId, amount !== undefined ? amount : expense.amount, newSplit);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      shares = result.shares;
+    }
+
+    const updateData = {};
+    if (description !== undefined) updateData.description = description;
+    if (amount !== undefined) updateData.amount = parseFloat(amount);
+    if (currency !== undefined) updateData.currency = currency;
+    if (category !== undefined) updateData.category = category;
+    if (destinationId !== undefined) updateData.destinationId = destinationId === null ? null : parseInt(destinationId);
+    if (paidBy !== undefined) updateData.paidBy = paidBy || null;
+    if (paidById !== undefined) updateData.paidById = paidById === null ? null : parseInt(paidById);
+    if (newSplit !== undefined) updateData.splitMode = newSplit ? newSplit.mode : null;
+    if (spentOn !== undefined) updateData.spentOn = spentOn ? new Date(spentOn) : null;
+    if (notes !== undefined) updateData.notes = notes || null;
+
+    // Replace the shares whenever the split changes or is removed
+    const updatedExpense = await prisma.$transaction(async (tx) => {
+      if (newSplit !== undefined) {
+        await tx.expenseShare.deleteMany({
+          where: { expenseId: expense.id }
+        });
+      }
+
+      return tx.tripExpense.update({
+        where: { id: expense.id },
+        data: {
+          ...updateData,
+          ...(shares && { shares: { create: shares } })
+        },
+        include: expenseInclude
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense updated successfully',
+      expense: updatedExpense
+    });
+  } catch (error) {
+    console.error('Error updating expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update expense',
+      error: error.message
+    });
+  }
+});
+
+// Delete an expense
+router.delete('/:expenseId', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), param('expenseId').isInt(), handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId, expenseId } = req.params;
+
+    const trip = await findOwnedTrip(req, tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const { count } = await prisma.tripExpense.deleteMany({
+      where: { id: parseInt(expenseId), tripId }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found in this trip'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Expense deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete expense',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,448 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const { normalizeEmail } = require('validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, getActiveSuspension } = require('../middleware/auth');
+const { issueSessionTokens } = require('../utils/sessionService');
+const { signActionToken } = require('../utils/secureTokens');
+const { buildAppUrl } = require('../utils/emailService');
+const { recordAudit } = require('../utils/auditLog');
+const { getAnonymousSessionId, mergeAnonymousSession } = require('../utils/anonymousSession');
+const {
+  listProviders,
+  getOidcClient,
+  createAuthorizationRequest,
+  completeAuthorization
+} = require('../utils/oidcProviders');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Helper function to build the callback URL registered with the provider
+const getRedirectUri = (req, provider) => {
+  const base = process.env.OIDC_REDIRECT_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/auth/oauth/${provider}/callback`;
+};
+
+// Helper function to send the browser back to the frontend. Results go in the
+// URL fragment so tokens never reach server logs.
+const redirectToApp = (res, params) => {
+  const url = buildAppUrl('/auth/callback');
+  res.redirect(`${url}#${new URLSearchParams(params).toString()}`);
+};
+
+// Helper function to start an authorization request and remember its state
+const startAuthorization = async (req, provider, linkUserId = null) => {
+  const client = await getOidcClient(provider, getRedirectUri(req, provider));
+  if (!client) {
+    return null;
+  }
+
+  const { authorizationUrl, state, nonce, codeVerifier } = createAuthorizationRequest(client);
+
+  await prisma.oidcLoginState.create({
+    data: {
+      state,
+      provider,
+      nonce,
+      codeVerifier,
+      linkUserId,
+      anonymousSessionId: linkUserId ? null : getAnonymousSessionId(req),
+      expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS)
+    }
+  });
+
+  return authorizationUrl;
+};
+
+// Helper function to derive a unique username from the identity's claims
+const generateUsername = async (claims) => {
+  const source = claims.preferred_username || (claims.email && claims.email.split('@')[0]) || claims.name || '';
+  let base = source.replace(/[^a-zA-Z0-9_]/g, '').substring(0, 40);
+  if (base.length < 3) {
+    base = `traveler${base}`;
+  }
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = attempt === 0 ? base : `${base}_${crypto.randomInt(1000, 10000)}`;
+    const existing = await prisma.user.findUnique({
+      where: { username: candidate },
+      select: { id: true }
+    });
+
+    if (!existing) {
+      return candidate;
+    }
+  }
+
+  return `traveler_${crypto.randomBytes(6).toString('hex')}`;
+};
+
+// Normalise a provider email the same way the normalizeEmail() sanitizer does
+// for register and login, so both end up with the same stored address
+const normalizeClaimEmail = (email) => (email && normalizeEmail(email)) || null;
+
+// Helper function to find or create the user for a login identity.
+// Returns { user } or { error } with an error code for the frontend.
+const resolveLoginUser = async (provider, claims) => {
+  const identity = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider, subject: claims.sub } },
+    include: { user: true }
+  });
+
+  if (identity) {
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { lastLoginAt: new Date(), email: normalizeClaimEmail(claims.email) || identity.email }
+    });
+    return { user: identity.user };
+  }
+
+  const email = normalizeClaimEmail(claims.email);
+  if (!email) {
+    return { error: 'email_required' };
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email }
+  });
+
+  if (existingUser) {
+    // Only link automatically when both the provider and the local account
+    // have verified the address. Otherwise whoever registered it first could
+    // keep a password on the account the provider identity gets attached to;
+    // the owner has to sign in and use POST /:provider/link instead.
+    if (claims.email_verified !== true || !existingUser.emailVerifiedAt) {
+      return { error: 'account_exists' };
+    }
+
+    await prisma.userIdentity.create({
+      data: {
+        userId: existingUser.id,
+        provider,
+        subject: claims.sub,
+        email,
+        lastLoginAt: new Date()
+      }
+    });
+
+    return { user: existingUser };
+  }
+
+  // First login: create an account without a password
+  const user = await prisma.user.create({
+    data: {
+      username: await generateUsername(claims),
+      email,
+      password: null,
+      emailVerifiedAt: claims.email_verified === true ? new Date() : null,
+      firstName: claims.given_name ? claims.given_name.substring(0, 50) : null,
+      lastName: claims.family_name ? claims.family_name.substring(0, 50) : null,
+      identities: {
+        create: {
+          provider,
+          subject: claims.sub,
+          email,
+          lastLoginAt: new Date()
+        }
+      }
+    }
+  });
+
+  return { user, created: true };
+};
+
+// List configured providers
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: listProviders()
+  });
+});
+
+// List identities linked to the current user
+router.get('/identities', authenticateToken, async (req, res) => {
+  try {
+    const [identities, user] = await Promise.all([
+      prisma.userIdentity.findMany({
+        where: { userId: req.user.id },
+        select: {
+          provider: true,
+          email: true,
+          lastLoginAt: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { password: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      identities,
+      hasPassword: Boolean(user.password)
+    });
+
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch linked accounts',
+      message: 'An error occurred while fetching your linked accounts'
+    });
+  }
+});
+
+// Start social login: redirects to the provider. Pass ?sessionId= to claim
+// anonymous trips and tickets once the login completes.
+router.get('/:provider/start', async (req, res) => {
+  try {
+    const provider = req.params.provider.toLowerCase();
+    const authorizationUrl = await startAuthorization(req, provider);
+
+    if (!authorizationUrl) {
+      return res.status(404).json({
+        error: 'Provider not found',
+        message: `Login with ${provider} is not available`
+      });
+    }
+
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(502).json({
+      error: 'Provider unavailable',
+      message: 'Could not reach the login provider, please try again later'
+    });
+  }
+});
+
+// Start linking a provider to the current account; returns the URL to open
+router.post('/:provider/link', authenticateToken, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const provider = req.params.provider.toLowerCase();
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const isPasswordValid = Boolean(user.password) && await bcrypt.compare(req.body.password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        error: 'Invalid password',
+        message: 'Incorrect password provided'
+      });
+    }
+
+    const existingIdentity = await prisma.userIdentity.findUnique({
+      where: { userId_provider: { userId: user.id, provider } }
+    });
+
+    if (existingIdentity) {
+      return res.status(400).json({
+        error: 'Already linked',
+        message: `Your account is already linked to ${provider}`
+      });
+    }
+
+    const authorizationUrl = await startAuthorization(req, provider, user.id);
+
+    if (!authorizationUrl) {
+      return res.status(404).json({
+        error: 'Provider not found',
+        message: `Login with ${provider} is not available`
+      });
+    }
+
+    res.json({
+      success: true,
+      authorizationUrl
+    });
+
+  } catch (error) {
+    console.error('OIDC link error:', error);
+    res.status(500).json({
+      error: 'Failed to link account',
+      message: 'An error occurred while linking your account'
+    });
+  }
+});
+
+// Provider callback for both login and linking
+router.get('/:provider/callback', async (req, res) => {
+  const provider = req.params.provider.toLowerCase();
+
+  try {
+    // Each state can only be used once
+    const loginState = await prisma.oidcLoginState.delete({
+      where: { state: String(req.query.state || '') }
+    }).catch(error => {
+      if (error.code === 'P2025') {
+        return null;
+      }
+      throw error;
+    });
+
+    if (!loginState || loginState.provider !== provider || loginState.expiresAt <= new Date()) {
+      return redirectToApp(res, { error: 'invalid_state' });
+    }
+
+    if (req.query.error) {
+      return redirectToApp(res, { error: 'access_denied' });
+    }
+
+    const redirectUri = getRedirectUri(req, provider);
+    const client = await getOidcClient(provider, redirectUri);
+    if (!client) {
+      return redirectToApp(res, { error: 'provider_unavailable' });
+    }
+
+    const claims = await completeAuthorization(client, redirectUri, req, loginState);
+
+    // Linking an additional provider to an existing account
+    if (loginState.linkUserId) {
+      const identity = await prisma.userIdentity.findUnique({
+        where: { provider_subject: { provider, subject: claims.sub } }
+      });
+
+      if (identity && identity.userId !== loginState.linkUserId) {
+        return redirectToApp(res, { error: 'identity_in_use', provider });
+      }
+
+      if (!identity) {
+        await prisma.userIdentity.create({
+          data: {
+            userId: loginState.linkUserId,
+            provider,
+            subject: claims.sub,
+            email: normalizeClaimEmail(claims.email)
+          }
+        });
+
+        await recordAudit(req, {
+          action: 'auth.identity_linked',
+          actorId: loginState.linkUserId,
+          targetType: 'user',
+          targetId: loginState.linkUserId,
+          after: { provider }
+        });
+      }
+
+      return redirectToApp(res, { linked: provider });
+    }
+
+    const { user, created, error } = await resolveLoginUser(provider, claims);
+    if (error) {
+      return redirectToApp(res, { error, provider });
+    }
+
+    if (getActiveSuspension(user)) {
+      return redirectToApp(res, { error: 'account_suspended' });
+    }
+
+    if (user.deactivatedAt) {
+      return redirectToApp(res, { error: 'account_deactivated' });
+    }
+
+    if (user.twoFactorEnabledAt) {
+      return redirectToApp(res, {
+        twoFactorRequired: 'true',
+        challengeToken: signActionToken('2fa-challenge', {
+          userId: user.id,
+          anonymousSessionId: loginState.anonymousSessionId
+        }, TWO_FACTOR_CHALLENGE_TTL)
+      });
+    }
+
+    // Claim trips and tickets created while logged out
+    const merged = await mergeAnonymousSession(user.id, loginState.anonymousSessionId);
+
+    const tokens = await issueSessionTokens(user.id, req);
+
+    redirectToApp(res, {
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: String(tokens.expiresIn),
+      ...(created && { newAccount: 'true' }),
+      ...(merged && { mergedTrips: String(merged.trips), mergedTickets: String(merged.tickets) })
+    });
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToApp(res, { error: 'login_failed', provider });
+  }
+});
+
+// Unlink a provider from the current account
+router.delete('/:provider', authenticateToken, async (req, res) => {
+  try {
+    const provider = req.params.provider.toLowerCase();
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      include: { identities: true }
+    });
+
+    const identity = user.identities.find(item => item.provider === provider);
+    if (!identity) {
+      return res.status(404).json({
+        error: 'Not linked',
+        message: `Your account is not linked to ${provider}`
+      });
+    }
+
+    // Never leave an account without a way to log in
+    if (!user.password && user.identities.length === 1) {
+      return res.status(400).json({
+        error: 'Cannot unlink',
+        message: 'Set a password before unlinking your only login provider'
+      });
+    }
+
+    await prisma.userIdentity.delete({
+      where: { id: identity.id }
+    });
+
+    await recordAudit(req, {
+      action: 'auth.identity_unlinked',
+      targetType: 'user',
+      targetId: user.id,
+      before: { provider, email: identity.email }
+    });
+
+    res.json({
+      success: true,
+      message: `Unlinked ${provider} from your account`
+    });
+
+  } catch (error) {
+    console.error('OIDC unlink error:', error);
+    res.status(500).json({
+      error: 'Failed to unlink account',
+      message: 'An error occurred while unlinking your account'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { optionalAuth } = require('../middleware/auth');
+const { optionalAuth, authenticateToken, requireVerifiedEmail, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLog');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -63,7 +64,7 @@ const platformReviewValidation = [
 ];
 
 // Create a new review (handles both trip reviews and platform reviews)
-router.post('/', async (req, res) => {
+router.post('/', requireVerifiedEmail, async (req, res) => {
   try {
     const { tripId, reviewerName, rating, reviewText, email, destination } = req.body;
 
@@ -166,7 +167,7 @@ router.post('/', async (req, res) => {
 });
 
 // Create a platform review (for general travel experiences)
-router.post('/platform', platformReviewValidation, async (req, res) => {
+router.post('/platform', requireVerifiedEmail, platformReviewValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -380,15 +381,12 @@ router.get('/:reviewId', async (req, res) => {
   }
 });
 
-// Update review approval status (admin function)
-router.put('/:reviewId/approve', async (req, res) => {
+// Update review approval status (moderators)
+router.put('/:reviewId/approve', authenticateToken, requirePermission('reviews:moderate'), async (req, res) => {
   try {
     const { reviewId } = req.params;
     const { isApproved } = req.body;
 
-    // Note: In a real application, you'd want to add admin authentication here
-    // For now, this is a simple approval toggle
-
     const review = await prisma.tripReview.findUnique({
       where: { id: parseInt(reviewId) }
     });
@@ -415,6 +413,14 @@ router.put('/:reviewId/approve', async (req, res) => {
       }
     });
 
+    await recordAudit(req, {
+      action: isApproved ? 'review.approved' : 'review.unapproved',
+      targetType: 'trip_review',
+      targetId: review.id,
+      before: { isApproved: review.isApproved },
+      after: { isApproved: updatedReview.isApproved }
+    });
+
     res.json({
       success: true,
       message: `Review ${isApproved ? 'approved' : 'unapproved'} successfully`,
@@ -430,14 +436,11 @@ router.put('/:reviewId/approve', async (req, res) => {
   }
 });
 
-// Delete a review
-router.delete('/:reviewId', async (req, res) => {
+// Delete a review (moderators)
+router.delete('/:reviewId', authenticateToken, requirePermission('reviews:moderate'), async (req, res) => {
   try {
     const { reviewId } = req.params;
 
-    // Note: In a real application, you'd want to add proper authorization here
-    // to ensure only the review author or admin can delete
-
     const review = await prisma.tripReview.findUnique({
       where: { id: parseInt(reviewId) }
     });
@@ -453,6 +456,18 @@ router.delete('/:reviewId', async (req, res) => {
       where: { id: parseInt(reviewId) }
     });
 
+    await recordAudit(req, {
+      action: 'review.deleted',
+      targetType: 'trip_review',
+      targetId: review.id,
+      before: {
+        tripId: review.tripId,
+        reviewerName: review.reviewerName,
+        rating: review.rating,
+        reviewText: review.reviewText
+      }
+    });
+
     res.json({
       success: true,
       message: 'Review deleted successfully'
@@ -1,7 +1,9 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { optionalAuth, getSessionId, authenticateToken } = require('../middleware/auth');
+const { optionalAuth, getSessionId, authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+const { createSignedCode, verifySignedCode, renderQrCode } = require('../utils/signedCodes');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -10,10 +12,184 @@ const prisma = new PrismaClient();
 router.use(getSessionId);
 router.use(optionalAuth);
 
+// Ticket ID prefixes per ticket type
+const TICKET_PREFIXES = {
+  FLIGHT: 'FLT',
+  BUS: 'BUS',
+  FERRY: 'FRY',
+  TRAIN: 'TRN',
+  HOTEL: 'HTL',
+  TOUR: 'TOR',
+  BOOKING_REF: 'REF',
+  CONFIRMATION: 'CNF'
+};
+
+// Unambiguous characters only (no 0/O, 1/I/L) so IDs can be read out loud
+const TICKET_ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const TICKET_ID_RANDOM_LENGTH = 8;
+const MAX_METADATA_BYTES = 8 * 1024;
+
+// Validation rules
+const createTicketValidation = [
+  body('ticketType')
+    .isIn(Object.keys(TICKET_PREFIXES))
+    .withMessage(`Ticket type must be one of: ${Object.keys(TICKET_PREFIXES).join(', ')}`),
+  body('includeTimestamp')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTimestamp must be a boolean'),
+  body('metadata')
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Metadata must be an object');
+      }
+      if (Buffer.byteLength(JSON.stringify(value)) > MAX_METADATA_BYTES) {
+        throw new Error(`Metadata must be smaller than ${MAX_METADATA_BYTES} bytes`);
+      }
+      return true;
+    })
+];
+
+// Helper function to generate a ticket ID, e.g. FLT-20240301-7K3QX9P2 or FLT-7K3QX9P2
+const generateTicketId = (ticketType, includeTimestamp) => {
+  const bytes = crypto.randomBytes(TICKET_ID_RANDOM_LENGTH);
+  const randomPart = Array.from(bytes, byte => TICKET_ID_ALPHABET[byte % TICKET_ID_ALPHABET.length]).join('');
+  const parts = [TICKET_PREFIXES[ticketType]];
+
+  if (includeTimestamp) {
+    parts.push(new Date().toISOString().slice(0, 10).replace(/-/g, ''));
+  }
+
+  parts.push(randomPart);
+  return parts.join('-');
+};
+
+// Helper function to create a ticket, retrying on ticket ID collisions.
+// The unique constraint on ticket_id makes the insert itself the collision check.
+const createTicketWithUniqueId = async (data, includeTimestamp, maxAttempts = 5) => {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    try {
+      return await prisma.generatedTicket.create({
+        data: {
+          ...data,
+          ticketId: generateTicketId(data.ticketType, includeTimestamp)
+        },
+        select: {
+          id: true,
+          ticketId: true,
+          ticketType: true,
+          isUsed: true,
+          includeTimestamp: true,
+          metadata: true,
+          createdAt: true
+        }
+      });
+    } catch (error) {
+      const isTicketIdCollision = error.code === 'P2002' &&
+        [].concat(error.meta?.target || []).some(target => String(target).includes('ticket_id'));
+      if (!isTicketIdCollision) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Unable to generate unique ticket ID after multiple attempts');
+};
+
+// Issue a new ticket
+router.post('/', createTicketValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { ticketType, metadata } = req.body;
+    const includeTimestamp = req.body.includeTimestamp === undefined
+      ? true
+      : req.body.includeTimestamp === true || req.body.includeTimestamp === 'true';
+
+    // Tickets belong to the logged in user, or to the anonymous session
+    if (!req.user && !req.sessionId) {
+      return res.status(400).json({
+        error: 'Missing owner',
+        message: 'Log in or start an anonymous session (POST /api/auth/anonymous-session) to issue a ticket'
+      });
+    }
+
+    const ticket = await createTicketWithUniqueId({
+      ticketType,
+      userId: req.user ? req.user.id : null,
+      sessionId: req.user ? null : req.sessionId,
+      includeTimestamp,
+      metadata: metadata || undefined
+    }, includeTimestamp);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ticket generated successfully',
+      ticket
+    });
+
+  } catch (error) {
+    console.error('Generate ticket error:', error);
+    res.status(500).json({
+      error: 'Failed to generate ticket',
+      message: 'An error occurred while generating the ticket'
+    });
+  }
+});
+
 // Validate a ticket ID
 router.get('/:ticketId/validate', async (req, res) => {
   try {
     const { ticketId } = req.params;
+    const { code } = req.query;
+
+    // Scanned QR codes are checked offline against their signature
+    if (code) {
+      const verified = verifySignedCode(code);
+
+      if (!verified || verified.kind !== 'ticket' || verified.id !== ticketId) {
+        return res.json({
+          success: false,
+          valid: false,
+          authentic: false,
+          reason: 'Code is invalid or has been tampered with'
+        });
+      }
+
+      // A genuine code can still belong to a ticket that was deleted or already redeemed
+      const scanned = await prisma.generatedTicket.findUnique({
+        where: { ticketId: verified.id },
+        select: { isUsed: true, usedAt: true }
+      });
+
+      if (!scanned) {
+        return res.json({
+          success: false,
+          valid: false,
+          authentic: true,
+          reason: 'Ticket not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        valid: !scanned.isUsed,
+        authentic: true,
+        isUsed: scanned.isUsed,
+        usedAt: scanned.usedAt,
+        ticketId: verified.id,
+        issuedAt: verified.issuedAt,
+        ...(scanned.isUsed && { reason: 'Ticket has already been used' })
+      });
+    }
 
     const ticket = await prisma.generatedTicket.findUnique({
       where: { ticketId },
@@ -51,6 +227,148 @@ router.get('/:ticketId/validate', async (req, res) => {
   }
 });
 
+// Get a signed QR code for a ticket (owner or admin only)
+router.get('/:ticketId/qr', [
+  query('format')
+    .optional()
+    .isIn(['png', 'svg'])
+    .withMessage('Format must be png or svg'),
+  query('size')
+    .optional()
+    .isInt({ min: 100, max: 1000 })
+    .withMessage('Size must be between 100 and 1000 pixels')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { ticketId } = req.params;
+    const { format = 'png', size = 300 } = req.query;
+
+    const ticket = await prisma.generatedTicket.findUnique({
+      where: { ticketId },
+      select: { ticketId: true, userId: true, sessionId: true }
+    });
+
+    const isOwner = ticket && (
+      (req.user && ticket.userId === req.user.id) ||
+      (req.sessionId && ticket.sessionId === req.sessionId)
+    );
+    const isStaff = hasPermission(req.user, 'tickets:lookup');
+
+    if (!ticket || (!isOwner && !isStaff)) {
+      return res.status(404).json({
+        error: 'Ticket not found',
+        message: 'The specified ticket could not be found'
+      });
+    }
+
+    const payload = createSignedCode('ticket', ticket.ticketId);
+    const image = await renderQrCode(payload, format, parseInt(size));
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type(image.contentType).send(image.body);
+
+  } catch (error) {
+    console.error('Generate ticket QR code error:', error);
+    res.status(500).json({
+      error: 'Failed to generate QR code',
+      message: 'An error occurred while generating the QR code'
+    });
+  }
+});
+
+// Redeem (check in) a ticket - single use
+router.post('/:ticketId/redeem', authenticateToken, requirePermission('tickets:redeem'), [
+  body('location')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Location must be less than 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { ticketId } = req.params;
+    const { location } = req.body;
+
+    // Conditional update so only one of several concurrent scans can flip isUsed
+    const { count } = await prisma.generatedTicket.updateMany({
+      where: { ticketId, isUsed: false },
+      data: {
+        isUsed: true,
+        usedAt: new Date(),
+        redeemedById: req.user.id,
+        redeemedLocation: location || null,
+        redeemedIp: req.ip || null
+      }
+    });
+
+    const ticket = await prisma.generatedTicket.findUnique({
+      where: { ticketId },
+      select: {
+        id: true,
+        ticketId: true,
+        ticketType: true,
+        isUsed: true,
+        usedAt: true,
+        redeemedLocation: true,
+        createdAt: true,
+        metadata: true,
+        redeemedBy: {
+          select: {
+            id: true,
+            username: true
+          }
+        }
+      }
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        error: 'Ticket not found',
+        message: 'The specified ticket could not be found'
+      });
+    }
+
+    if (count === 0) {
+      return res.status(409).json({
+        error: 'Ticket already used',
+        // Tickets used before usedAt was recorded have no timestamp
+        message: ticket.usedAt ? `Ticket was already used at ${ticket.usedAt.toISOString()}` : 'Ticket was already used',
+        usedAt: ticket.usedAt,
+        ticket
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ticket redeemed successfully',
+      ticket
+    });
+
+  } catch (error) {
+    console.error('Redeem ticket error:', error);
+    res.status(500).json({
+      error: 'Failed to redeem ticket',
+      message: 'An error occurred while redeeming the ticket'
+    });
+  }
+});
+
 // Enhanced search for tickets with AI recommendation tracking
 router.post('/search', [
   body('ticketId')
@@ -1,9 +1,11 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { v4: uuidv4 } = require('uuid');
-const { optionalAuth } = require('../middleware/auth');
+const { optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const { sendTripTrackerEmail } = require('../utils/emailService');
+const { createSignedCode, verifySignedCode, renderQrCode } = require('../utils/signedCodes');
+const { recordAudit } = require('../utils/auditLog');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -66,7 +68,7 @@ const ensureUniqueTrackerId = async (maxAttempts = 10) => {
 };
 
 // Create a new trip tracker with AI recommendation data
-router.post('/', createTrackerValidation, async (req, res) => {
+router.post('/', requireVerifiedEmail, createTrackerValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -467,6 +469,18 @@ router.put('/:trackerId', [
       }
     });
 
+    await recordAudit(req, {
+      action: 'tracker.updated',
+      targetType: 'trip_tracker',
+      targetId: tracker.trackerId,
+      before: {
+        travelerName: tracker.travelerName,
+        phone: tracker.phone,
+        expiresAt: tracker.expiresAt
+      },
+      after: updateData
+    });
+
     res.json({
       success: true,
       message: 'Tracker updated successfully',
@@ -514,6 +528,14 @@ router.delete('/:trackerId', async (req, res) => {
       data: { isActive: false }
     });
 
+    await recordAudit(req, {
+      action: 'tracker.deactivated',
+      targetType: 'trip_tracker',
+      targetId: tracker.trackerId,
+      before: { isActive: tracker.isActive },
+      after: { isActive: false }
+    });
+
     res.json({
       success: true,
       message: 'Tracker deactivated successfully'
@@ -585,10 +607,91 @@ router.get('/:trackerId/stats', async (req, res) => {
   }
 });
 
+// Get a signed QR code for a tracker
+router.get('/:trackerId/qr', [
+  query('format')
+    .optional()
+    .isIn(['png', 'svg'])
+    .withMessage('Format must be png or svg'),
+  query('size')
+    .optional()
+    .isInt({ min: 100, max: 1000 })
+    .withMessage('Size must be between 100 and 1000 pixels')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { trackerId } = req.params;
+    const { format = 'png', size = 300 } = req.query;
+
+    const tracker = await prisma.tripTracker.findUnique({
+      where: { trackerId },
+      select: { trackerId: true, isActive: true, expiresAt: true }
+    });
+
+    if (!tracker) {
+      return res.status(404).json({
+        error: 'Tracker not found',
+        message: 'The specified trip tracker could not be found'
+      });
+    }
+
+    if (!tracker.isActive || (tracker.expiresAt && new Date() > tracker.expiresAt)) {
+      return res.status(410).json({
+        error: 'Tracker unavailable',
+        message: 'This trip tracker is inactive or has expired'
+      });
+    }
+
+    const payload = createSignedCode('tracker', tracker.trackerId);
+    const image = await renderQrCode(payload, format, parseInt(size));
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type(image.contentType).send(image.body);
+
+  } catch (error) {
+    console.error('Generate tracker QR code error:', error);
+    res.status(500).json({
+      error: 'Failed to generate QR code',
+      message: 'An error occurred while generating the QR code'
+    });
+  }
+});
+
 // Validate tracker (check if it exists and is active)
 router.get('/:trackerId/validate', async (req, res) => {
   try {
     const { trackerId } = req.params;
+    const { code } = req.query;
+
+    // Scanned QR codes are checked offline against their signature
+    if (code) {
+      const verified = verifySignedCode(code);
+
+      if (!verified || verified.kind !== 'tracker' || verified.id !== trackerId) {
+        return res.json({
+          success: false,
+          valid: false,
+          authentic: false,
+          reason: 'Code is invalid or has been tampered with'
+        });
+      }
+
+      return res.json({
+        success: true,
+        valid: true,
+        authentic: true,
+        trackerId: verified.id,
+        issuedAt: verified.issuedAt
+      });
+    }
 
     const tracker = await prisma.tripTracker.findUnique({
       where: { trackerId },
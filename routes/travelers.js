@@ -0,0 +1,223 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, param, validationResult } = require('express-validator');
+const { optionalAuth } = require('../middleware/auth');
+const { findOwnedTrip } = require('../utils/tripAccess');
+
+// Mounted under /api/trips/:tripId/travelers, next to the expense routes
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateTraveler = [
+  body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (max 100 characters)'),
+];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Names are unique per trip so splits and settle-ups stay readable
+const isDuplicateName = error => error.code === 'P2002';
+
+// A share added after the usage check still blocks the delete through its foreign key
+const isStillReferenced = error => error.code === 'P2003';
+
+const inUseResponse = {
+  success: false,
+  message: 'This traveler paid for or shares expenses. Update those expenses before removing them.'
+};
+
+// List a trip's travelers
+router.get('/', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), handleValidationErrors, async (req, res) => {
+  try {
+    const trip = await findOwnedTrip(req, req.params.tripId, {
+      include: {
+        tripTravelers: {
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      travelers: trip.tripTravelers
+    });
+  } catch (error) {
+    console.error('Error getting travelers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get travelers',
+      error: error.message
+    });
+  }
+});
+
+// Add a traveler to a trip
+router.post('/', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), validateTraveler, handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await findOwnedTrip(req, tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const traveler = await prisma.tripTraveler.create({
+      data: {
+        tripId,
+        name: req.body.name
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Traveler added successfully',
+      traveler
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This trip already has a traveler with that name'
+      });
+    }
+
+    console.error('Error adding traveler:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add traveler',
+      error: error.message
+    });
+  }
+});
+
+// Rename a traveler
+router.patch('/:travelerId', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), param('travelerId').isInt(), validateTraveler, handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId, travelerId } = req.params;
+
+    const trip = await findOwnedTrip(req, tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const { count } = await prisma.tripTraveler.updateMany({
+      where: { id: parseInt(travelerId), tripId },
+      data: { name: req.body.name }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Traveler not found in this trip'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Traveler updated successfully',
+      traveler: await prisma.tripTraveler.findUnique({ where: { id: parseInt(travelerId) } })
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This trip already has a traveler with that name'
+      });
+    }
+
+    console.error('Error updating traveler:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update traveler',
+      error: error.message
+    });
+  }
+});
+
+// Remove a traveler. Anyone who paid for or shares an expense has to be taken
+// out of those expenses first, otherwise the settle-up would no longer balance.
+router.delete('/:travelerId', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), param('travelerId').isInt(), handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId, travelerId } = req.params;
+
+    const trip = await findOwnedTrip(req, tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const traveler = await prisma.tripTraveler.findFirst({
+      where: { id: parseInt(travelerId), tripId },
+      include: {
+        _count: {
+          select: { paidExpenses: true, shares: true }
+        }
+      }
+    });
+
+    if (!traveler) {
+      return res.status(404).json({
+        success: false,
+        message: 'Traveler not found in this trip'
+      });
+    }
+
+    if (traveler._count.paidExpenses > 0 || traveler._count.shares > 0) {
+      return res.status(409).json({
+        ...inUseResponse,
+        paidExpenses: traveler._count.paidExpenses,
+        sharedExpenses: traveler._count.shares
+      });
+    }
+
+    await prisma.tripTraveler.delete({
+      where: { id: traveler.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Traveler removed successfully'
+    });
+  } catch (error) {
+    if (isStillReferenced(error)) {
+      return res.status(409).json(inUseResponse);
+    }
+
+    console.error('Error removing traveler:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove traveler',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,45 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { body, param, query, validationResult } = require('express-validator');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, getSessionId } = require('../middleware/auth');
+const { findOwnedTrip } = require('../utils/tripAccess');
+const { validateScheduleSlot, buildItinerary, findScheduleConflicts } = require('../utils/itinerary');
+const { normalizeOpeningHours } = require('../utils/operatingHours');
+const { PREFERENCE_SCHEMA } = require('../utils/preferences');
+const expenseRoutes = require('./expenses');
+const travelerRoutes = require('./travelers');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Apply session middleware to all routes
+router.use(getSessionId);
+
+// Changes to a trip's destinations, expenses, travelers or route count as activity
+// on the trip, so bump its updatedAt (anonymous trips are purged by it)
+router.use('/:tripId', (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+
+  const { tripId } = req.params;
+  res.on('finish', () => {
+    if (res.statusCode < 400) {
+      prisma.trip.updateMany({
+        where: { id: tripId },
+        data: { updatedAt: new Date() }
+      }).catch(error => console.error('Trip touch error:', error));
+    }
+  });
+
+  next();
+});
+
+// Trip expenses, budget summary and cost splitting between travelers
+router.use('/:tripId/expenses', expenseRoutes);
+router.use('/:tripId/travelers', travelerRoutes);
+
 // Validation middleware
 const validateTrip = [
   body('tripName').optional().isLength({ min: 1, max: 100 }).withMessage('Trip name must be 1-100 characters'),
@@ -15,8 +48,21 @@ const validateTrip = [
   body('endDate').optional().isISO8601().withMessage('End date must be valid ISO date'),
   body('budget').optional().isFloat({ min: 0 }).withMessage('Budget must be a positive number'),
   body('travelers').optional().isInt({ min: 1, max: 50 }).withMessage('Travelers must be between 1 and 50'),
+  body('currency').optional().isIn(PREFERENCE_SCHEMA.currency.values).withMessage(`Currency must be one of: ${PREFERENCE_SCHEMA.currency.values.join(', ')}`),
 ];
 
+// Structured opening hours are validated and stored in normalized form
+const validateOpeningHours = () => body('openingHours')
+  .optional({ nullable: true })
+  .custom(value => {
+    const { error } = normalizeOpeningHours(value);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  })
+  .customSanitizer(value => normalizeOpeningHours(value).value);
+
 const validateDestination = [
   body('name').notEmpty().isLength({ min: 1, max: 255 }).withMessage('Destination name is required'),
   body('city').optional().isLength({ max: 100 }).withMessage('City must be max 100 characters'),
@@ -27,6 +73,39 @@ const validateDestination = [
   body('budget').optional().isFloat({ min: 0 }).withMessage('Budget must be positive'),
   body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
   body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('dayIndex').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Day must be a positive integer'),
+  body('startTime').optional({ nullable: true }).isString().withMessage('Start time must be HH:MM'),
+  body('endTime').optional({ nullable: true }).isString().withMessage('End time must be HH:MM'),
+  validateOpeningHours(),
+];
+
+// Same fields as validateDestination, all optional, for partial updates
+const validateDestinationUpdate = [
+  body('name').optional().isLength({ min: 1, max: 255 }).withMessage('Destination name must be 1-255 characters'),
+  body('city').optional({ nullable: true }).isLength({ max: 100 }).withMessage('City must be max 100 characters'),
+  body('province').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Province must be max 100 characters'),
+  body('description').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Description must be max 1000 characters'),
+  body('category').optional({ nullable: true }).isLength({ max: 50 }).withMessage('Category must be max 50 characters'),
+  body('rating').optional({ nullable: true }).isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
+  body('budget').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Budget must be positive'),
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('operatingHours').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Operating hours must be max 255 characters'),
+  body('contactInformation').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Contact information must be max 255 characters'),
+  body('dayIndex').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Day must be a positive integer'),
+  body('startTime').optional({ nullable: true }).isString().withMessage('Start time must be HH:MM'),
+  body('endTime').optional({ nullable: true }).isString().withMessage('End time must be HH:MM'),
+  validateOpeningHours(),
+];
+
+const validateReorder = [
+  body('destinationIds').isArray({ min: 1 }).withMessage('destinationIds must be a non-empty array'),
+  body('destinationIds.*').isInt().withMessage('Destination IDs must be integers'),
+];
+
+const validateMove = [
+  body('targetTripId').isUUID().withMessage('Target trip ID must be a valid trip ID'),
+  body('position').optional().isInt({ min: 1 }).withMessage('Position must be a positive integer'),
 ];
 
 // Helper function to handle validation errors
@@ -42,33 +121,68 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Helper function to get user/session identifier
-const getUserIdentifier = (req) => {
-  if (req.user) {
-    return { userId: req.user.id, sessionId: null };
-  } else {
-    // For non-authenticated users, use session ID from headers
-    const sessionId = req.headers['x-session-id'];
-    return { userId: null, sessionId };
+// Helper function to load a trip with its ordered destinations and latest route
+const getTripDetails = async (tripId) => {
+  const trip = await prisma.trip.findUnique({
+    where: { id: tripId },
+    include: {
+      destinations: {
+        orderBy: { orderIndex: 'asc' }
+      },
+      routes: {
+        orderBy: { calculatedAt: 'desc' },
+        take: 1
+      }
+    }
+  });
+
+  return {
+    ...trip,
+    route_data: trip.routes[0]?.routeData || null
+  };
+};
+
+// Helper function to renumber a trip's destinations 1..n, closing any gaps.
+// Pass orderedIds to apply a new order; otherwise the current order is kept.
+const renumberDestinations = async (tx, tripId, orderedIds = null) => {
+  const ids = orderedIds || (await tx.tripDestination.findMany({
+    where: { tripId },
+    orderBy: [{ orderIndex: 'asc' }, { id: 'asc' }],
+    select: { id: true }
+  })).map(destination => destination.id);
+
+  for (let index = 0; index < ids.length; index++) {
+    await tx.tripDestination.update({
+      where: { id: ids[index] },
+      data: { orderIndex: index + 1 }
+    });
   }
 };
 
 // Create a new trip
 router.post('/', optionalAuth, validateTrip, handleValidationErrors, async (req, res) => {
   try {
-    const { tripName, destination, startDate, endDate, budget, travelers = 1 } = req.body;
-    const { userId, sessionId } = getUserIdentifier(req);
+    const { tripName, destination, startDate, endDate, budget, currency, travelers = 1 } = req.body;
+
+    // Anonymous trips need a server-issued session to own them
+    if (!req.user && !req.sessionId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Log in or start an anonymous session (POST /api/auth/anonymous-session) to create trips'
+      });
+    }
 
     const trip = await prisma.trip.create({
       data: {
         id: uuidv4(),
-        userId,
-        sessionId,
+        userId: req.user ? req.user.id : null,
+        sessionId: req.user ? null : req.sessionId,
         tripName,
         destination,
         startDate: startDate ? new Date(startDate) : new Date(),
         endDate: endDate ? new Date(endDate) : null,
         budget: budget ? parseFloat(budget) : null,
+        currency,
         travelers: parseInt(travelers),
         status: 'active'
       },
@@ -106,16 +220,8 @@ router.post('/', optionalAuth, validateTrip, handleValidationErrors, async (req,
 router.get('/:tripId', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), handleValidationErrors, async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { userId, sessionId } = getUserIdentifier(req);
 
-    const trip = await prisma.trip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId: userId },
-          { sessionId: sessionId }
-        ]
-      },
+    const trip = await findOwnedTrip(req, tripId, {
       include: {
         destinations: {
           orderBy: { orderIndex: 'asc' }
@@ -155,19 +261,10 @@ router.get('/:tripId', optionalAuth, param('tripId').isUUID().withMessage('Inval
 router.put('/:tripId', optionalAuth, param('tripId').isUUID(), validateTrip, handleValidationErrors, async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { tripName, destination, startDate, endDate, budget, travelers, status } = req.body;
-    const { userId, sessionId } = getUserIdentifier(req);
+    const { tripName, destination, startDate, endDate, budget, currency, travelers, status } = req.body;
 
     // Check if trip exists and belongs to user/session
-    const existingTrip = await prisma.trip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId: userId },
-          { sessionId: sessionId }
-        ]
-      }
-    });
+    const existingTrip = await findOwnedTrip(req, tripId);
 
     if (!existingTrip) {
       return res.status(404).json({
@@ -182,6 +279,7 @@ router.put('/:tripId', optionalAuth, param('tripId').isUUID(), validateTrip, han
     if (startDate !== undefined) updateData.startDate = startDate ? new Date(startDate) : new Date();
     if (endDate !== undefined) updateData.endDate = endDate ? new Date(endDate) : null;
     if (budget !== undefined) updateData.budget = budget ? parseFloat(budget) : null;
+    if (currency !== undefined) updateData.currency = currency;
     if (travelers !== undefined) updateData.travelers = parseInt(travelers);
     if (status !== undefined) updateData.status = status;
 
@@ -221,18 +319,9 @@ router.put('/:tripId', optionalAuth, param('tripId').isUUID(), validateTrip, han
 router.delete('/:tripId', optionalAuth, param('tripId').isUUID(), handleValidationErrors, async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { userId, sessionId } = getUserIdentifier(req);
 
     // Check if trip exists and belongs to user/session
-    const existingTrip = await prisma.trip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId: userId },
-          { sessionId: sessionId }
-        ]
-      }
-    });
+    const existingTrip = await findOwnedTrip(req, tripId);
 
     if (!existingTrip) {
       return res.status(404).json({
@@ -263,19 +352,10 @@ router.delete('/:tripId', optionalAuth, param('tripId').isUUID(), handleValidati
 router.post('/:tripId/destinations', optionalAuth, param('tripId').isUUID(), validateDestination, handleValidationErrors, async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { userId, sessionId } = getUserIdentifier(req);
     const destinationData = req.body;
 
     // Check if trip exists and belongs to user/session
-    const existingTrip = await prisma.trip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId: userId },
-          { sessionId: sessionId }
-        ]
-      }
-    });
+    const existingTrip = await findOwnedTrip(req, tripId);
 
     if (!existingTrip) {
       return res.status(404).json({
@@ -284,6 +364,20 @@ router.post('/:tripId/destinations', optionalAuth, param('tripId').isUUID(), val
       });
     }
 
+    // Check the optional day/time slot against the trip dates and opening hours
+    const schedule = {
+      dayIndex: destinationData.dayIndex ? parseInt(destinationData.dayIndex) : null,
+      startTime: destinationData.startTime || null,
+      endTime: destinationData.endTime || null
+    };
+    const scheduleError = validateScheduleSlot(existingTrip, destinationData, schedule);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
     // Get the next order index
     const lastDestination = await prisma.tripDestination.findFirst({
       where: { tripId },
@@ -305,8 +399,10 @@ router.post('/:tripId/destinations', optionalAuth, param('tripId').isUUID(), val
         latitude: destinationData.latitude ? parseFloat(destinationData.latitude) : null,
         longitude: destinationData.longitude ? parseFloat(destinationData.longitude) : null,
         operatingHours: destinationData.operatingHours,
+        openingHours: destinationData.openingHours || undefined,
         contactInformation: destinationData.contactInformation,
-        orderIndex
+        orderIndex,
+        ...schedule
       }
     });
 
@@ -343,22 +439,249 @@ router.post('/:tripId/destinations', optionalAuth, param('tripId').isUUID(), val
   }
 });
 
-// Remove destination from trip
-router.delete('/:tripId/destinations/:destinationId', optionalAuth, param('tripId').isUUID(), param('destinationId').isInt(), handleValidationErrors, async (req, res) => {
+// Update a destination in a trip
+router.patch('/:tripId/destinations/:destinationId', optionalAuth, param('tripId').isUUID(), param('destinationId').isInt(), validateDestinationUpdate, handleValidationErrors, async (req, res) => {
   try {
     const { tripId, destinationId } = req.params;
-    const { userId, sessionId } = getUserIdentifier(req);
 
     // Check if trip exists and belongs to user/session
-    const existingTrip = await prisma.trip.findFirst({
+    const existingTrip = await findOwnedTrip(req, tripId);
+
+    if (!existingTrip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const destination = await prisma.tripDestination.findFirst({
       where: {
-        id: tripId,
-        OR: [
-          { userId: userId },
-          { sessionId: sessionId }
-        ]
+        id: parseInt(destinationId),
+        tripId
+      }
+    });
+
+    if (!destination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Destination not found in this trip'
+      });
+    }
+
+    const { name, city, province, description, category, rating, budget, latitude, longitude, operatingHours, openingHours, contactInformation } = req.body;
+    const toDecimal = value => (value === null || value === '' ? null : parseFloat(value));
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (city !== undefined) updateData.city = city;
+    if (province !== undefined) updateData.province = province;
+    if (description !== undefined) updateData.description = description;
+    if (category !== undefined) updateData.category = category;
+    if (rating !== undefined) updateData.rating = toDecimal(rating);
+    if (budget !== undefined) updateData.budget = toDecimal(budget);
+    if (latitude !== undefined) updateData.latitude = toDecimal(latitude);
+    if (longitude !== undefined) updateData.longitude = toDecimal(longitude);
+    if (operatingHours !== undefined) updateData.operatingHours = operatingHours;
+    if (openingHours !== undefined) updateData.openingHours = openingHours === null ? Prisma.DbNull : openingHours;
+    if (contactInformation !== undefined) updateData.contactInformation = contactInformation;
+
+    // Scheduling: unsetting the day also clears its times
+    const { dayIndex, startTime, endTime } = req.body;
+    if (dayIndex !== undefined) updateData.dayIndex = dayIndex === null ? null : parseInt(dayIndex);
+    if (startTime !== undefined) updateData.startTime = startTime || null;
+    if (endTime !== undefined) updateData.endTime = endTime || null;
+    if (updateData.dayIndex === null) {
+      updateData.startTime = null;
+      updateData.endTime = null;
+    }
+
+    // Only re-check the slot when the schedule or hours change, so a stop that
+    // no longer fits (e.g. after the trip dates moved) can still be edited
+    const scheduleChanged = [dayIndex, startTime, endTime, openingHours, operatingHours].some(value => value !== undefined);
+    if (scheduleChanged) {
+      const merged = { ...destination, ...updateData };
+      if (openingHours === null) merged.openingHours = null;
+      const scheduleError = validateScheduleSlot(existingTrip, merged, merged);
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError
+        });
       }
+    }
+
+    const updatedDestination = await prisma.tripDestination.update({
+      where: { id: destination.id },
+      data: updateData
+    });
+
+    res.json({
+      success: true,
+      message: 'Destination updated successfully',
+      destination: updatedDestination
+    });
+  } catch (error) {
+    console.error('Error updating destination:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update destination',
+      error: error.message
     });
+  }
+});
+
+// Reorder all destinations in a trip: { destinationIds: [3, 1, 2] }
+router.put('/:tripId/destinations/order', optionalAuth, param('tripId').isUUID(), validateReorder, handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const destinationIds = req.body.destinationIds.map(id => parseInt(id));
+
+    // Check if trip exists and belongs to user/session
+    const existingTrip = await findOwnedTrip(req, tripId);
+
+    if (!existingTrip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      // The new order must list every destination in the trip exactly once
+      const current = await tx.tripDestination.findMany({
+        where: { tripId },
+        select: { id: true }
+      });
+      const currentIds = new Set(current.map(destination => destination.id));
+      const isPermutation = destinationIds.length === currentIds.size &&
+        new Set(destinationIds).size === destinationIds.length &&
+        destinationIds.every(id => currentIds.has(id));
+
+      if (!isPermutation) {
+        const error = new Error('destinationIds must list every destination in the trip exactly once');
+        error.status = 400;
+        throw error;
+      }
+
+      await renumberDestinations(tx, tripId, destinationIds);
+    });
+
+    res.json({
+      success: true,
+      message: 'Destinations reordered successfully',
+      trip: await getTripDetails(tripId)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error reordering destinations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder destinations',
+      error: error.message
+    });
+  }
+});
+
+// Move a destination to another trip the caller owns, optionally at a position (1-based)
+router.post('/:tripId/destinations/:destinationId/move', optionalAuth, param('tripId').isUUID(), param('destinationId').isInt(), validateMove, handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId, destinationId } = req.params;
+    const { targetTripId, position } = req.body;
+
+    if (targetTripId === tripId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the reorder endpoint to move a destination within the same trip'
+      });
+    }
+
+    // Both trips must belong to the caller
+    const [sourceTrip, targetTrip] = await Promise.all([
+      findOwnedTrip(req, tripId),
+      findOwnedTrip(req, targetTripId)
+    ]);
+
+    if (!sourceTrip || !targetTrip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const destination = await prisma.tripDestination.findFirst({
+      where: {
+        id: parseInt(destinationId),
+        tripId
+      }
+    });
+
+    if (!destination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Destination not found in this trip'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const targetIds = (await tx.tripDestination.findMany({
+        where: { tripId: targetTripId },
+        orderBy: [{ orderIndex: 'asc' }, { id: 'asc' }],
+        select: { id: true }
+      })).map(item => item.id);
+
+      const insertAt = position ? Math.min(parseInt(position), targetIds.length + 1) - 1 : targetIds.length;
+      targetIds.splice(insertAt, 0, destination.id);
+
+      await tx.tripDestination.update({
+        where: { id: destination.id },
+        // Days belong to the old trip's calendar, so the stop arrives unscheduled
+        data: { tripId: targetTripId, dayIndex: null, startTime: null, endTime: null }
+      });
+
+      // Expenses stay with the trip they were spent on
+      await tx.tripExpense.updateMany({
+        where: { destinationId: destination.id },
+        data: { destinationId: null }
+      });
+
+      await renumberDestinations(tx, tripId);
+      await renumberDestinations(tx, targetTripId, targetIds);
+
+      await tx.trip.update({
+        where: { id: targetTripId },
+        data: { updatedAt: new Date() }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Destination moved successfully',
+      trip: await getTripDetails(tripId),
+      targetTrip: await getTripDetails(targetTripId)
+    });
+  } catch (error) {
+    console.error('Error moving destination:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move destination',
+      error: error.message
+    });
+  }
+});
+
+// Remove destination from trip
+router.delete('/:tripId/destinations/:destinationId', optionalAuth, param('tripId').isUUID(), param('destinationId').isInt(), handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId, destinationId } = req.params;
+
+    // Check if trip exists and belongs to user/session
+    const existingTrip = await findOwnedTrip(req, tripId);
 
     if (!existingTrip) {
       return res.status(404).json({
@@ -382,37 +705,96 @@ router.delete('/:tripId/destinations/:destinationId', optionalAuth, param('tripI
       });
     }
 
-    await prisma.tripDestination.delete({
-      where: { id: parseInt(destinationId) }
+    // Delete and close the gap in the order
+    await prisma.$transaction(async (tx) => {
+      await tx.tripDestination.delete({
+        where: { id: parseInt(destinationId) }
+      });
+      await renumberDestinations(tx, tripId);
     });
 
-    // Get updated trip with remaining destinations
-    const trip = await prisma.trip.findUnique({
-      where: { id: tripId },
+    res.json({
+      success: true,
+      message: 'Destination removed successfully',
+      trip: await getTripDetails(tripId)
+    });
+  } catch (error) {
+    console.error('Error removing destination:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove destination',
+      error: error.message
+    });
+  }
+});
+
+// Get a trip's destinations grouped by day
+router.get('/:tripId/itinerary', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await findOwnedTrip(req, tripId, {
       include: {
         destinations: {
           orderBy: { orderIndex: 'asc' }
-        },
-        routes: {
-          orderBy: { calculatedAt: 'desc' },
-          take: 1
         }
       }
     });
 
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Destination removed successfully',
-      trip: {
-        ...trip,
-        route_data: trip.routes[0]?.routeData || null
+      itinerary: buildItinerary(trip, trip.destinations)
+    });
+  } catch (error) {
+    console.error('Error getting itinerary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get itinerary',
+      error: error.message
+    });
+  }
+});
+
+// List scheduled stops that fall on a day or time the place is closed
+router.get('/:tripId/itinerary/conflicts', optionalAuth, param('tripId').isUUID().withMessage('Invalid trip ID'), handleValidationErrors, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await findOwnedTrip(req, tripId, {
+      include: {
+        destinations: {
+          where: { dayIndex: { not: null } }
+        }
       }
     });
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const conflicts = findScheduleConflicts(trip, trip.destinations);
+
+    res.json({
+      success: true,
+      tripId: trip.id,
+      hasConflicts: conflicts.length > 0,
+      conflicts
+    });
   } catch (error) {
-    console.error('Error removing destination:', error);
+    console.error('Error checking itinerary conflicts:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to remove destination',
+      message: 'Failed to check itinerary conflicts',
       error: error.message
     });
   }
@@ -422,19 +804,10 @@ router.delete('/:tripId/destinations/:destinationId', optionalAuth, param('tripI
 router.post('/:tripId/route', optionalAuth, param('tripId').isUUID(), handleValidationErrors, async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { userId, sessionId } = getUserIdentifier(req);
     const { routeData, distanceKm, timeMinutes, routeSource } = req.body;
 
     // Check if trip exists and belongs to user/session
-    const existingTrip = await prisma.trip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId: userId },
-          { sessionId: sessionId }
-        ]
-      }
-    });
+    const existingTrip = await findOwnedTrip(req, tripId);
 
     if (!existingTrip) {
       return res.status(404).json({
@@ -11,9 +11,12 @@ const prisma = new PrismaClient({
 
 // Import email service
 const { testEmailConnection } = require('./utils/emailService');
+const { scheduleAnonymousCleanup } = require('./utils/anonymousSession');
+const { scheduleAccountPurge } = require('./utils/accountDeletion');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const oauthRoutes = require('./routes/oauth');
 const ticketRoutes = require('./routes/tickets');
 const reviewRoutes = require('./routes/reviews');
 const trackerRoutes = require('./routes/trackers');
@@ -22,6 +25,7 @@ const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const backgroundTimers = [];
 
 // Security middleware
 app.use(helmet({
@@ -97,6 +101,7 @@ app.get('/health', async (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/oauth', oauthRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/reviews', reviewRoutes);
@@ -165,6 +170,7 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`Received ${signal}, shutting down gracefully...`);
+  backgroundTimers.forEach(timer => clearInterval(timer));
   try {
   await prisma.$disconnect();
     console.log('Database connection closed.');
@@ -183,6 +189,7 @@ app.listen(PORT, async () => {
   console.log(`🚀 Express server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🔐 Auth API: http://localhost:${PORT}/api/auth`);
+  console.log(`🔑 Social login: http://localhost:${PORT}/api/auth/oauth`);
   console.log(`🎫 Tickets API: http://localhost:${PORT}/api/tickets`);
   console.log(`⭐ Reviews API: http://localhost:${PORT}/api/reviews`);
   console.log(`📍 Trackers API: http://localhost:${PORT}/api/trackers`);
@@ -207,6 +214,9 @@ app.listen(PORT, async () => {
   } else {
     console.log('❌ Email service configuration issue - check environment variables');
   }
+
+  // Background jobs: abandoned anonymous trips and accounts past their deletion grace period
+  backgroundTimers.push(scheduleAnonymousCleanup(), scheduleAccountPurge());
 });
 
 module.exports = app; 
\ No newline at end of file
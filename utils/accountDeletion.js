@@ -0,0 +1,118 @@
+const { PrismaClient } = require('@prisma/client');
+const { recordAudit } = require('./auditLog');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+// Days a deactivated account can still be restored before it is purged
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Trackers need an email, so purged ones point at an address that can't receive mail
+const ANONYMISED_EMAIL = 'deleted-user@deleted.invalid';
+const ANONYMISED_NAME = 'Deleted user';
+
+// Date an account deactivated now will be purged
+const deletionDateFromNow = () => {
+  return new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Anonymise rows that only reference a user by email, then delete the user.
+// Trips are kept without an owner; sessions, identities and the like cascade.
+const purgeAccount = async (user) => {
+  const counts = await prisma.$transaction(async (tx) => {
+    const trackers = await tx.tripTracker.updateMany({
+      where: { email: user.email },
+      data: {
+        email: ANONYMISED_EMAIL,
+        travelerName: null,
+        phone: null,
+        isActive: false
+      }
+    });
+
+    const tripReviews = await tx.tripReview.updateMany({
+      where: { email: user.email },
+      data: { email: null, reviewerName: ANONYMISED_NAME }
+    });
+
+    const platformReviews = await tx.platformReview.updateMany({
+      where: { email: user.email },
+      data: { email: null, reviewerName: ANONYMISED_NAME }
+    });
+
+    await tx.trip.updateMany({
+      where: { userId: user.id },
+      data: { userId: null, sessionId: null }
+    });
+
+    await tx.user.delete({
+      where: { id: user.id }
+    });
+
+    return {
+      trackers: trackers.count,
+      tripReviews: tripReviews.count,
+      platformReviews: platformReviews.count
+    };
+  });
+
+  await recordAudit(null, {
+    action: 'system.account_purged',
+    actorId: null,
+    targetType: 'user',
+    targetId: user.id,
+    after: { anonymised: counts }
+  });
+
+  return counts;
+};
+
+// Purge every account whose grace period has ended. Returns the number purged.
+const purgeDeletedAccounts = async () => {
+  const users = await prisma.user.findMany({
+    where: {
+      deactivatedAt: { not: null },
+      deletionScheduledFor: { lte: new Date() }
+    },
+    select: { id: true, email: true }
+  });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged++;
+    } catch (error) {
+      console.error(`Account purge error for user ${user.id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+// Run the purge periodically. Returns the timer so shutdown can clear it.
+const scheduleAccountPurge = () => {
+  const runPurge = async () => {
+    try {
+      const purged = await purgeDeletedAccounts();
+      if (purged > 0) {
+        console.log(`🗑️ Purged ${purged} deleted account(s)`);
+      }
+    } catch (error) {
+      console.error('Account purge error:', error);
+    }
+  };
+
+  runPurge();
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  deletionDateFromNow,
+  purgeDeletedAccounts,
+  scheduleAccountPurge
+};
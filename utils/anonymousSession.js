@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+// Anonymous session tokens: anon.<session uuid>.<expiresAt base36>.<signature>
+// Only the inner uuid is stored on trips and tickets; the signature means a
+// client can't pick or guess another visitor's id.
+const TOKEN_PREFIX = 'anon';
+const SIGNATURE_BYTES = 16;
+const SESSION_COOKIE = 'sessionId';
+
+const ANON_SESSION_TTL_DAYS = parseInt(process.env.ANON_SESSION_TTL_DAYS) || 30;
+
+// Anonymous trips untouched for this long are deleted by the cleanup job
+const ANON_TRIP_RETENTION_DAYS = parseInt(process.env.ANON_TRIP_RETENTION_DAYS) || 60;
+const CLEANUP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Before signed tokens, clients sent a raw session uuid. Until this date such
+// an id can still be exchanged for a signed token, and the cleanup job leaves
+// anonymous trips alone so their owners get a chance to come back for them.
+// Unset (the default) means data under raw ids is not carried over.
+const LEGACY_SESSION_GRACE_UNTIL = process.env.ANON_LEGACY_SESSION_GRACE_UNTIL
+  ? new Date(process.env.ANON_LEGACY_SESSION_GRACE_UNTIL)
+  : null;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isLegacyGraceActive = () => {
+  return Boolean(LEGACY_SESSION_GRACE_UNTIL) && Date.now() < LEGACY_SESSION_GRACE_UNTIL.getTime();
+};
+
+const getSigningSecret = () => {
+  const secret = process.env.ANON_SESSION_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ANON_SESSION_SECRET or JWT_SECRET must be set to sign anonymous sessions');
+  }
+  return secret;
+};
+
+const sign = (unsignedToken) => {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(unsignedToken)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+};
+
+// Issue a signed anonymous session token. Pass an existing session id to renew it.
+const createAnonymousSession = (sessionId = uuidv4()) => {
+  const expiresAt = new Date(Date.now() + ANON_SESSION_TTL_DAYS * DAY_MS);
+  const unsignedToken = [TOKEN_PREFIX, sessionId, Math.floor(expiresAt.getTime() / 1000).toString(36)].join('.');
+
+  return {
+    token: `${unsignedToken}.${sign(unsignedToken)}`,
+    sessionId,
+    expiresAt
+  };
+};
+
+// Verify an anonymous session token. Returns { sessionId, expiresAt } or null
+// if the token is malformed, forged or expired.
+const verifyAnonymousSession = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.trim().split('.');
+  if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX || !parts[1]) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(parts.slice(0, 3).join('.')));
+  const actual = Buffer.from(parts[3]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const expiresAtSeconds = parseInt(parts[2], 36);
+  if (Number.isNaN(expiresAtSeconds) || expiresAtSeconds * 1000 <= Date.now()) {
+    return null;
+  }
+
+  return {
+    sessionId: parts[1],
+    expiresAt: new Date(expiresAtSeconds * 1000)
+  };
+};
+
+// Read a cookie without depending on cookie-parser
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) {
+    return undefined;
+  }
+
+  const match = header
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return match ? decodeURIComponent(match.substring(name.length + 1)) : undefined;
+};
+
+// Find the raw anonymous session token a client sent
+const getAnonymousSessionToken = (req) => {
+  return req.headers['x-session-id'] ||
+    req.body?.sessionId ||
+    req.query?.sessionId ||
+    readCookie(req, SESSION_COOKIE);
+};
+
+// Resolve the verified anonymous session id for a request, or null
+const getAnonymousSessionId = (req) => {
+  const session = verifyAnonymousSession(getAnonymousSessionToken(req));
+  return session ? session.sessionId : null;
+};
+
+// Resolve a legacy raw session id that still has unclaimed trips or tickets,
+// or null. Only honoured during the ANON_LEGACY_SESSION_GRACE_UNTIL window.
+const findLegacySessionId = async (req) => {
+  const rawId = getAnonymousSessionToken(req);
+  if (!isLegacyGraceActive() || typeof rawId !== 'string' || !UUID_PATTERN.test(rawId.trim())) {
+    return null;
+  }
+
+  const sessionId = rawId.trim();
+  const [trip, ticket] = await Promise.all([
+    prisma.trip.findFirst({ where: { sessionId, userId: null }, select: { id: true } }),
+    prisma.generatedTicket.findFirst({ where: { sessionId, userId: null }, select: { id: true } })
+  ]);
+
+  return trip || ticket ? sessionId : null;
+};
+
+// Send an anonymous session token back as a cookie as well as in the body
+const setAnonymousSessionCookie = (res, session) => {
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    expires: session.expiresAt
+  });
+};
+
+// Move trips and tickets created under an anonymous session to a user account.
+// Only rows nobody owns yet are claimed, so replaying a session id can never
+// take data away from another account. Returns a report of what was merged.
+const claimAnonymousData = async (userId, sessionId) => {
+  const report = {
+    sessionId,
+    trips: 0,
+    tickets: 0,
+    tripIds: []
+  };
+
+  if (!sessionId) {
+    return report;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const trips = await tx.trip.findMany({
+      where: { sessionId, userId: null },
+      select: { id: true }
+    });
+
+    if (trips.length > 0) {
+      // Conditional update: rows claimed concurrently by another login are skipped
+      const { count } = await tx.trip.updateMany({
+        where: {
+          id: { in: trips.map(trip => trip.id) },
+          userId: null
+        },
+        data: { userId, sessionId: null }
+      });
+      report.trips = count;
+      report.tripIds = trips.map(trip => trip.id);
+    }
+
+    const { count: ticketCount } = await tx.generatedTicket.updateMany({
+      where: { sessionId, userId: null },
+      data: { userId, sessionId: null }
+    });
+    report.tickets = ticketCount;
+
+    return report;
+  });
+};
+
+// Claim anonymous data without letting a failure break the login it is part of
+const mergeAnonymousSession = async (userId, sessionId) => {
+  try {
+    return await claimAnonymousData(userId, sessionId);
+  } catch (error) {
+    console.error('Anonymous session merge error:', error);
+    return null;
+  }
+};
+
+// Delete anonymous trips nobody has touched within the retention period.
+// Trips with reviews or active trackers are kept, since others rely on them,
+// as are ownerless trips without a session (e.g. left behind by a purged account).
+// Writes to a trip's destinations, expenses and travelers bump Trip.updatedAt,
+// see the trips router. Nothing is deleted while legacy session ids are still
+// being exchanged.
+const purgeAbandonedAnonymousTrips = async () => {
+  if (isLegacyGraceActive()) {
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - ANON_TRIP_RETENTION_DAYS * DAY_MS);
+
+  const { count } = await prisma.trip.deleteMany({
+    where: {
+      userId: null,
+      sessionId: { not: null },
+      updatedAt: { lt: cutoff },
+      reviews: { none: {} },
+      trackers: { none: { isActive: true } }
+    }
+  });
+
+  return count;
+};
+
+// Run the cleanup periodically. Returns the timer so shutdown can clear it.
+const scheduleAnonymousCleanup = () => {
+  const runCleanup = async () => {
+    try {
+      const deleted = await purgeAbandonedAnonymousTrips();
+      if (deleted > 0) {
+        console.log(`🧹 Deleted ${deleted} abandoned anonymous trip(s)`);
+      }
+    } catch (error) {
+      console.error('Anonymous trip cleanup error:', error);
+    }
+  };
+
+  runCleanup();
+  const timer = setInterval(runCleanup, CLEANUP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  createAnonymousSession,
+  verifyAnonymousSession,
+  getAnonymousSessionToken,
+  getAnonymousSessionId,
+  findLegacySessionId,
+  setAnonymousSessionCookie,
+  purgeAbandonedAnonymousTrips,
+  scheduleAnonymousCleanup,
+  claimAnonymousData,
+  mergeAnonymousSession
+};
@@ -0,0 +1,30 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Record an audited action. The actor defaults to the authenticated user and
+// impersonated requests also record the admin behind them. Failures are logged
+// but never break the action being audited.
+const recordAudit = async (req, { action, targetType = null, targetId = null, before = null, after = null, actorId }) => {
+  try {
+    await prisma.auditLog.create({
+      data: {
+        actorId: actorId !== undefined ? actorId : (req?.user?.id || null),
+        impersonatorId: req?.authSession?.impersonatorId || null,
+        action,
+        targetType,
+        targetId: targetId !== null ? String(targetId) : null,
+        before: before || undefined,
+        after: after || undefined,
+        ipAddress: req?.ip || null,
+        userAgent: req?.get('user-agent')?.substring(0, 255) || null
+      }
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  recordAudit
+};
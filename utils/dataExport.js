@@ -0,0 +1,172 @@
+const { PrismaClient } = require('@prisma/client');
+const { sendDataExportReadyEmail, buildAppUrl } = require('./emailService');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+// How long a finished export can be downloaded
+const DATA_EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS) || 24;
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Collect everything stored about a user. Secrets (password hash, 2FA secret,
+// token hashes) are left out; trackers and reviews are matched by email since
+// they can be created without an account.
+const buildUserDataExport = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      username: true,
+      email: true,
+      emailVerifiedAt: true,
+      firstName: true,
+      lastName: true,
+      location: true,
+      bio: true,
+      role: true,
+      twoFactorEnabledAt: true,
+      createdAt: true,
+      updatedAt: true,
+      identities: {
+        select: { provider: true, email: true, lastLoginAt: true, createdAt: true }
+      },
+      sessions: {
+        select: { userAgent: true, ipAddress: true, createdAt: true, lastSeenAt: true, expiresAt: true, revokedAt: true }
+      }
+    }
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  const email = user.email;
+
+  const [preferences, trips, savedTrips, tickets, trackers, tripReviews, platformReviews] = await Promise.all([
+    prisma.userPreference.findMany({
+      where: { userId },
+      select: { preferenceKey: true, preferenceValue: true, updatedAt: true }
+    }),
+    prisma.trip.findMany({
+      where: { userId },
+      include: {
+        destinations: { orderBy: { orderIndex: 'asc' } },
+        routes: { orderBy: { calculatedAt: 'desc' } },
+        tripTravelers: { orderBy: { createdAt: 'asc' } },
+        expenses: {
+          include: { shares: true },
+          orderBy: { createdAt: 'asc' }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.savedTrip.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.generatedTicket.findMany({
+      where: { userId },
+      select: {
+        ticketId: true,
+        ticketType: true,
+        isUsed: true,
+        usedAt: true,
+        redeemedLocation: true,
+        metadata: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.tripTracker.findMany({
+      where: { email },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.tripReview.findMany({
+      where: { email },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.platformReview.findMany({
+      where: { email },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    generatedAt: new Date(),
+    profile: user,
+    preferences,
+    trips,
+    savedTrips,
+    tickets,
+    trackers,
+    reviews: {
+      trips: tripReviews,
+      platform: platformReviews
+    }
+  };
+};
+
+// Build a requested export and email the download link. Runs in the background,
+// so failures are recorded on the export instead of thrown.
+const processDataExport = async (exportId, downloadToken) => {
+  try {
+    const dataExport = await prisma.dataExport.update({
+      where: { id: exportId },
+      data: { status: 'processing' },
+      include: {
+        user: { select: { email: true, firstName: true } }
+      }
+    });
+
+    const data = await buildUserDataExport(dataExport.userId);
+    if (!data) {
+      throw new Error('User no longer exists');
+    }
+
+    // Round-trip through JSON so Decimal and Date values are stored as plain JSON
+    const json = JSON.stringify(data);
+    const expiresAt = new Date(Date.now() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000);
+
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: {
+        status: 'ready',
+        activeUserId: null,
+        data: JSON.parse(json),
+        sizeBytes: Buffer.byteLength(json),
+        completedAt: new Date(),
+        expiresAt
+      }
+    });
+
+    await sendDataExportReadyEmail({
+      email: dataExport.user.email,
+      name: dataExport.user.firstName,
+      downloadUrl: buildAppUrl('/account/export', { id: exportId, token: downloadToken }),
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: { status: 'failed', activeUserId: null, error: error.message.substring(0, 255) }
+    }).catch(updateError => console.error('Data export status error:', updateError));
+  }
+};
+
+// Drop export payloads once their download link has expired
+const purgeExpiredDataExports = async () => {
+  const { count } = await prisma.dataExport.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+
+  return count;
+};
+
+module.exports = {
+  buildUserDataExport,
+  processDataExport,
+  purgeExpiredDataExports
+};
@@ -236,6 +236,211 @@ Keep this email safe - you'll need the Tracker ID to access your trip!
   }
 };
 
+// Build an absolute link into the frontend app
+const buildAppUrl = (path, params = {}) => {
+  const base = process.env.FRONTEND_URL || 'https://wertigo.netlify.app';
+  const url = new URL(path, /^https?:\/\//.test(base) ? base : `https://${base}`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// Shared layout for short account emails
+const renderAccountEmail = ({ title, greeting, paragraphs, action, footer }) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title}</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+      <div style="background: white; border-radius: 10px; padding: 30px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <h1 style="color: #2c3e50; font-size: 24px; margin-top: 0;">${title}</h1>
+        <p>${greeting}</p>
+        ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('\n        ')}
+        ${action ? `
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${action.url}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: bold;">${action.label}</a>
+        </p>
+        <p style="font-size: 13px; color: #6c757d;">If the button doesn't work, copy this link into your browser:<br>${action.url}</p>` : ''}
+        <p style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e9ecef; color: #6c757d; font-size: 14px;">
+          🌟 <strong>WerTigo Travel Planner</strong><br>${footer}
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = [
+    title,
+    '',
+    greeting,
+    '',
+    ...paragraphs,
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    '',
+    footer,
+    '',
+    '🌟 WerTigo Travel Planner'
+  ].join('\n');
+
+  return { html, text };
+};
+
+// Send password reset link
+const sendPasswordResetEmail = async ({ email, name, resetUrl, expiresInMinutes }) => {
+  try {
+    const transporter = createTransporter();
+    const content = renderAccountEmail({
+      title: '🔑 Reset your password',
+      greeting: `Hello ${name || 'Traveler'}!`,
+      paragraphs: [
+        'We received a request to reset the password for your WerTigo account.',
+        `This link can be used once and expires in ${expiresInMinutes} minutes.`
+      ],
+      action: { label: 'Reset Password', url: resetUrl },
+      footer: "If you didn't request a password reset, you can safely ignore this email."
+    });
+
+    const result = await transporter.sendMail({
+      from: process.env.FROM_EMAIL || process.env.EMAIL_USER,
+      to: email,
+      subject: '🔑 Reset your WerTigo password',
+      ...content
+    });
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send email address verification link
+const sendVerificationEmail = async ({ email, name, verifyUrl }) => {
+  try {
+    const transporter = createTransporter();
+    const content = renderAccountEmail({
+      title: '✉️ Verify your email address',
+      greeting: `Hello ${name || 'Traveler'}!`,
+      paragraphs: [
+        'Thanks for signing up for WerTigo. Please confirm that this is your email address.',
+        'Until your email is verified you will not be able to save trip trackers or post reviews from your account.'
+      ],
+      action: { label: 'Verify Email', url: verifyUrl },
+      footer: "If you didn't create a WerTigo account, you can safely ignore this email."
+    });
+
+    const result = await transporter.sendMail({
+      from: process.env.FROM_EMAIL || process.env.EMAIL_USER,
+      to: email,
+      subject: '✉️ Verify your WerTigo email address',
+      ...content
+    });
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Hide most of an address, e.g. j***@example.com
+const maskEmail = (email) => {
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+};
+
+// Send confirmation link to a new email address
+const sendEmailChangeConfirmationEmail = async ({ email, name, confirmUrl }) => {
+  try {
+    const transporter = createTransporter();
+    const content = renderAccountEmail({
+      title: '✉️ Confirm your new email address',
+      greeting: `Hello ${name || 'Traveler'}!`,
+      paragraphs: [
+        'You asked to use this address for your WerTigo account.',
+        'Your login email will only change once you confirm. This link expires in 24 hours.'
+      ],
+      action: { label: 'Confirm New Email', url: confirmUrl },
+      footer: "If you didn't request this change, you can safely ignore this email."
+    });
+
+    const result = await transporter.sendMail({
+      from: process.env.FROM_EMAIL || process.env.EMAIL_USER,
+      to: email,
+      subject: '✉️ Confirm your new WerTigo email address',
+      ...content
+    });
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('Error sending email change confirmation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Notify the current email address that a change was requested
+const sendEmailChangeNoticeEmail = async ({ email, name, newEmail }) => {
+  try {
+    const transporter = createTransporter();
+    const content = renderAccountEmail({
+      title: '🔔 Email change requested',
+      greeting: `Hello ${name || 'Traveler'}!`,
+      paragraphs: [
+        `Someone asked to change the login email of your WerTigo account to ${maskEmail(newEmail)}.`,
+        'Nothing changes until the new address is confirmed.',
+        "If this wasn't you, reset your password right away to keep your account safe."
+      ],
+      action: { label: 'Reset Password', url: buildAppUrl('/forgot-password') },
+      footer: 'This is a security notice sent to the email address currently on your account.'
+    });
+
+    const result = await transporter.sendMail({
+      from: process.env.FROM_EMAIL || process.env.EMAIL_USER,
+      to: email,
+      subject: '🔔 Your WerTigo email address is being changed',
+      ...content
+    });
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('Error sending email change notice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send account unlock link after too many failed logins
+const sendAccountUnlockEmail = async ({ email, name, unlockUrl, lockedUntil }) => {
+  try {
+    const transporter = createTransporter();
+    const content = renderAccountEmail({
+      title: '🔒 Your account has been temporarily locked',
+      greeting: `Hello ${name || 'Traveler'}!`,
+      paragraphs: [
+        'We locked your WerTigo account after several failed login attempts.',
+        `It will unlock automatically at ${lockedUntil.toLocaleString()}. If it was you, you can unlock it now.`,
+        "If it wasn't you, someone may be trying to guess your password. Consider resetting it."
+      ],
+      action: { label: 'Unlock Account', url: unlockUrl },
+      footer: 'This is a security notice sent to the email address on your account.'
+    });
+
+    const result = await transporter.sendMail({
+      from: process.env.FROM_EMAIL || process.env.EMAIL_USER,
+      to: email,
+      subject: '🔒 Your WerTigo account has been locked',
+      ...content
+    });
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('Error sending account unlock email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Test email configuration
 const testEmailConnection = async () => {
   try {
@@ -248,7 +453,73 @@ const testEmailConnection = async () => {
   }
 };
 
+// Send a link to download a finished personal data export
+const sendDataExportReadyEmail = async ({ email, name, downloadUrl, expiresAt }) => {
+  try {
+    const transporter = createTransporter();
+    const content = renderAccountEmail({
+      title: '📦 Your data export is ready',
+      greeting: `Hello ${name || 'Traveler'}!`,
+      paragraphs: [
+        'The copy of your WerTigo data you asked for is ready to download.',
+        `The link works until ${expiresAt.toLocaleString()}.`
+      ],
+      action: { label: 'Download My Data', url: downloadUrl },
+      footer: "If you didn't request this export, please change your password."
+    });
+
+    const result = await transporter.sendMail({
+      from: process.env.FROM_EMAIL || process.env.EMAIL_USER,
+      to: email,
+      subject: '📦 Your WerTigo data export is ready',
+      ...content
+    });
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('Error sending data export email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Confirm an account deletion request and offer a way to undo it
+const sendAccountDeletionScheduledEmail = async ({ email, name, restoreUrl, deletionDate }) => {
+  try {
+    const transporter = createTransporter();
+    const content = renderAccountEmail({
+      title: '👋 Your account is scheduled for deletion',
+      greeting: `Hello ${name || 'Traveler'}!`,
+      paragraphs: [
+        'We received a request to delete your WerTigo account. It has been deactivated.',
+        `Your account and personal data will be permanently deleted on ${deletionDate.toLocaleString()}. Until then you can restore it.`
+      ],
+      action: { label: 'Restore My Account', url: restoreUrl },
+      footer: "If you didn't request this, restore your account and change your password."
+    });
+
+    const result = await transporter.sendMail({
+      from: process.env.FROM_EMAIL || process.env.EMAIL_USER,
+      to: email,
+      subject: '👋 Your WerTigo account is scheduled for deletion',
+      ...content
+    });
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('Error sending account deletion email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendTripTrackerEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeNoticeEmail,
+  sendAccountUnlockEmail,
+  sendDataExportReadyEmail,
+  sendAccountDeletionScheduledEmail,
+  buildAppUrl,
   testEmailConnection
 }; 
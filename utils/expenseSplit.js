@@ -0,0 +1,227 @@
+const { toCents, fromCents } = require('./tripBudget');
+
+const SPLIT_MODES = ['equal', 'shares', 'exact'];
+
+// Divide cents by weights, handing leftover cents to the largest remainders
+// first so the parts always add up to the total
+const allocateCents = (totalCents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const parts = weights.map(weight => Math.floor((totalCents * weight) / totalWeight));
+
+  let leftover = totalCents - parts.reduce((sum, part) => sum + part, 0);
+  const order = weights
+    .map((weight, index) => ({ index, remainder: (totalCents * weight) % totalWeight }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length, leftover--) {
+    parts[order[i].index]++;
+  }
+
+  return parts;
+};
+
+// Work out each traveler's part of an expense. Participants are
+// [{ travelerId, shares?, amount? }]; shares are needed for the 'shares' mode
+// and amounts for 'exact'. Returns { shares: [{ travelerId, amount, shares }] } or { error }.
+const computeSplit = (amount, mode, participants) => {
+  if (!SPLIT_MODES.includes(mode)) {
+    return { error: `Split mode must be one of: ${SPLIT_MODES.join(', ')}` };
+  }
+
+  if (!Array.isArray(participants) || participants.length === 0) {
+    return { error: 'A split needs at least one traveler' };
+  }
+
+  const travelerIds = participants.map(participant => participant.travelerId);
+  if (new Set(travelerIds).size !== travelerIds.length) {
+    return { error: 'Each traveler can only appear once in a split' };
+  }
+
+  const totalCents = toCents(amount);
+
+  if (mode === 'exact') {
+    const amounts = participants.map(participant => toCents(participant.amount));
+    if (amounts.some(cents => !Number.isFinite(cents) || cents < 0)) {
+      return { error: 'Exact splits need a non-negative amount for every traveler' };
+    }
+
+    const splitCents = amounts.reduce((sum, cents) => sum + cents, 0);
+    if (splitCents !== totalCents) {
+      return { error: `Exact amounts add up to ${fromCents(splitCents).toFixed(2)} but the expense is ${fromCents(totalCents).toFixed(2)}` };
+    }
+
+    return {
+      shares: participants.map((participant, index) => ({
+        travelerId: participant.travelerId,
+        amount: fromCents(amounts[index]),
+        shares: null
+      }))
+    };
+  }
+
+  const weights = mode === 'shares'
+    ? participants.map(participant => participant.shares)
+    : participants.map(() => 1);
+
+  if (weights.some(weight => !Number.isInteger(weight) || weight < 1)) {
+    return { error: 'Shares must be whole numbers of at least 1' };
+  }
+
+  const parts = allocateCents(totalCents, weights);
+
+  return {
+    shares: participants.map((participant, index) => ({
+      travelerId: participant.travelerId,
+      amount: fromCents(parts[index]),
+      shares: mode === 'shares' ? weights[index] : null
+    }))
+  };
+};
+
+// Above this many travelers with a non-zero balance, finding the fewest
+// transfers gets too slow (it looks at every subset), so settle greedily
+const MAX_EXACT_SETTLE_TRAVELERS = 12;
+
+// Settle one group whose balances sum to zero: repeatedly match the largest
+// debt with the largest credit. Needs at most (group size - 1) transfers.
+const settleGroup = (group) => {
+  const creditors = group.filter(entry => entry.cents > 0).map(entry => ({ ...entry }));
+  const debtors = group.filter(entry => entry.cents < 0).map(entry => ({ ...entry, cents: -entry.cents }));
+  const transfers = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort((a, b) => b.cents - a.cents);
+    debtors.sort((a, b) => b.cents - a.cents);
+
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    transfers.push({ fromId: debtor.travelerId, toId: creditor.travelerId, cents });
+
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) creditors.shift();
+    if (debtor.cents === 0) debtors.shift();
+  }
+
+  return transfers;
+};
+
+// Number of travelers in a subset bitmask
+const popCount = (mask) => {
+  let bits = 0;
+  for (; mask; mask &= mask - 1) bits++;
+  return bits;
+};
+
+// Split non-zero balances into as many separate zero-sum groups as possible.
+// Each group of size k settles in k - 1 transfers, so n balances in g groups
+// need n - g transfers, and maximising g gives the fewest transfers overall.
+const findZeroSumGroups = (entries) => {
+  const count = entries.length;
+  const full = (1 << count) - 1;
+  const sums = new Array(full + 1).fill(0);
+  const groups = new Array(full + 1).fill(0);
+
+  // groups[mask]: most zero-sum groups the travelers in mask can be split into
+  for (let mask = 1; mask <= full; mask++) {
+    const lowest = Math.log2(mask & -mask);
+    sums[mask] = sums[mask & (mask - 1)] + entries[lowest].cents;
+
+    let best = 0;
+    for (let i = 0; i < count; i++) {
+      if (mask & (1 << i)) {
+        best = Math.max(best, groups[mask ^ (1 << i)]);
+      }
+    }
+    groups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Peel off one smallest zero-sum group at a time while keeping the best count
+  const result = [];
+  let remaining = full;
+  while (remaining) {
+    let chosen = remaining;
+    for (let sub = (remaining - 1) & remaining; sub; sub = (sub - 1) & remaining) {
+      if (sums[sub] === 0 && groups[remaining ^ sub] === groups[remaining] - 1 && popCount(sub) < popCount(chosen)) {
+        chosen = sub;
+      }
+    }
+
+    result.push(entries.filter((entry, i) => chosen & (1 << i)));
+    remaining ^= chosen;
+  }
+
+  return result;
+};
+
+// Work out who owes whom. Each split expense with a payer credits the payer
+// and debits every traveler's share; balances are kept per currency since
+// they can't be converted. With up to MAX_EXACT_SETTLE_TRAVELERS non-zero
+// balances per currency the transfers are the fewest possible; beyond that
+// they are simplified greedily (at most n - 1), and `minimal` is false.
+const settleUp = (travelers, expenses) => {
+  const names = new Map(travelers.map(traveler => [traveler.id, traveler.name]));
+  const balancesByCurrency = {};
+  let skipped = 0;
+
+  for (const expense of expenses) {
+    if (!expense.paidById || expense.shares.length === 0) {
+      skipped++;
+      continue;
+    }
+
+    const balances = balancesByCurrency[expense.currency] = balancesByCurrency[expense.currency] || new Map();
+    const credit = (travelerId, cents) => balances.set(travelerId, (balances.get(travelerId) || 0) + cents);
+
+    credit(expense.paidById, toCents(expense.amount));
+    for (const share of expense.shares) {
+      credit(share.travelerId, -toCents(share.amount));
+    }
+  }
+
+  const balances = [];
+  const transfers = [];
+  let minimal = true;
+
+  for (const [currency, currencyBalances] of Object.entries(balancesByCurrency)) {
+    const entries = [];
+
+    for (const [travelerId, cents] of currencyBalances) {
+      balances.push({ travelerId, name: names.get(travelerId), currency, balance: fromCents(cents) });
+      if (cents !== 0) entries.push({ travelerId, cents });
+    }
+
+    let groups = [entries];
+    if (entries.length <= MAX_EXACT_SETTLE_TRAVELERS) {
+      groups = findZeroSumGroups(entries);
+    } else {
+      minimal = false;
+    }
+
+    for (const group of groups) {
+      for (const transfer of settleGroup(group)) {
+        transfers.push({
+          from: { travelerId: transfer.fromId, name: names.get(transfer.fromId) },
+          to: { travelerId: transfer.toId, name: names.get(transfer.toId) },
+          amount: fromCents(transfer.cents),
+          currency
+        });
+      }
+    }
+  }
+
+  return {
+    balances,
+    transfers,
+    minimal,
+    skippedExpenses: skipped
+  };
+};
+
+module.exports = {
+  SPLIT_MODES,
+  computeSplit,
+  settleUp
+};
@@ -0,0 +1,126 @@
+const { toMinutes, checkVisit } = require('./operatingHours');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Number of days a trip spans, or null when it has no end date
+const getTripDayCount = (trip) => {
+  if (!trip.startDate || !trip.endDate) {
+    return null;
+  }
+
+  return Math.floor((trip.endDate.getTime() - trip.startDate.getTime()) / DAY_MS) + 1;
+};
+
+// Calendar date of a trip day (1-based), or null without a start date
+const getTripDayDate = (trip, dayIndex) => {
+  if (!trip.startDate) {
+    return null;
+  }
+
+  return new Date(trip.startDate.getTime() + (dayIndex - 1) * DAY_MS);
+};
+
+// Validate a schedule slot for a destination of a trip. Values of null clear
+// that part of the schedule. Returns an error message, or null when valid.
+const validateScheduleSlot = (trip, destination, { dayIndex, startTime, endTime }) => {
+  if (dayIndex === null || dayIndex === undefined) {
+    return (startTime || endTime) ? 'A day must be chosen before setting times' : null;
+  }
+
+  if (!Number.isInteger(dayIndex) || dayIndex < 1) {
+    return 'Day must be a positive whole number';
+  }
+
+  const dayCount = getTripDayCount(trip);
+  if (dayCount && dayIndex > dayCount) {
+    return `Day ${dayIndex} is outside this trip, which lasts ${dayCount} day(s)`;
+  }
+
+  for (const time of [startTime, endTime]) {
+    if (time && !TIME_FORMAT.test(time)) {
+      return 'Times must use the 24-hour HH:MM format';
+    }
+  }
+
+  if (endTime && !startTime) {
+    return 'A start time is required when setting an end time';
+  }
+
+  // An end time earlier than the start runs into the next day, e.g. 23:00 - 01:00
+  if (startTime && endTime && toMinutes(endTime) === toMinutes(startTime)) {
+    return 'End time must differ from start time';
+  }
+
+  return checkVisit(destination, getTripDayDate(trip, dayIndex), startTime, endTime);
+};
+
+// Sort stops within a day: timed stops by start time, then untimed ones by trip order
+const compareStops = (a, b) => {
+  if (a.startTime && b.startTime) {
+    return toMinutes(a.startTime) - toMinutes(b.startTime) || a.orderIndex - b.orderIndex;
+  }
+  if (a.startTime) return -1;
+  if (b.startTime) return 1;
+  return a.orderIndex - b.orderIndex;
+};
+
+// Group a trip's destinations by day. Every day of the trip is listed, even
+// empty ones; destinations without a day go in `unscheduled`.
+const buildItinerary = (trip, destinations) => {
+  const dayCount = getTripDayCount(trip);
+  const highestScheduledDay = destinations.reduce((max, destination) => Math.max(max, destination.dayIndex || 0), 0);
+  const totalDays = Math.max(dayCount || 0, highestScheduledDay);
+
+  const days = [];
+  for (let dayIndex = 1; dayIndex <= totalDays; dayIndex++) {
+    days.push({
+      dayIndex,
+      date: getTripDayDate(trip, dayIndex),
+      destinations: destinations
+        .filter(destination => destination.dayIndex === dayIndex)
+        .sort(compareStops)
+    });
+  }
+
+  return {
+    tripId: trip.id,
+    startDate: trip.startDate,
+    endDate: trip.endDate,
+    dayCount,
+    days,
+    unscheduled: destinations
+      .filter(destination => !destination.dayIndex)
+      .sort((a, b) => a.orderIndex - b.orderIndex)
+  };
+};
+
+// Scheduled stops that fall on a day or time the place is closed. Hours may
+// have changed since a stop was scheduled, so this re-checks every stop.
+const findScheduleConflicts = (trip, destinations) => {
+  return destinations
+    .filter(destination => destination.dayIndex)
+    .sort((a, b) => a.dayIndex - b.dayIndex || compareStops(a, b))
+    .map(destination => {
+      const date = getTripDayDate(trip, destination.dayIndex);
+      const reason = checkVisit(destination, date, destination.startTime, destination.endTime);
+
+      return reason && {
+        destinationId: destination.id,
+        name: destination.name,
+        dayIndex: destination.dayIndex,
+        date,
+        startTime: destination.startTime,
+        endTime: destination.endTime,
+        reason
+      };
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  getTripDayCount,
+  validateScheduleSlot,
+  buildItinerary,
+  findScheduleConflicts
+};
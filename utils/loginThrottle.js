@@ -0,0 +1,142 @@
+const { PrismaClient } = require('@prisma/client');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+// Failed logins are tracked per account (by email, whether or not it is
+// registered, so responses don't reveal which emails exist) and per IP.
+const LIMITS = {
+  account: {
+    freeAttempts: 3,
+    maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10
+  },
+  ip: {
+    freeAttempts: 10,
+    maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 50
+  }
+};
+
+const FAILURE_WINDOW_MS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_DELAY_SECONDS = 60;
+
+const normalizeKey = (scope, key) => (scope === 'account' ? key.toLowerCase() : key);
+
+// Failures older than the window are forgotten unless the key is locked
+const isStale = (row, now) => {
+  return (!row.lockedUntil || row.lockedUntil <= now) &&
+    now - row.lastFailedAt.getTime() > FAILURE_WINDOW_MS;
+};
+
+// Seconds until this key may try again, 0 if it may try now
+const getRetryAfter = (scope, row, now) => {
+  if (!row || isStale(row, now)) {
+    return 0;
+  }
+
+  if (row.lockedUntil && row.lockedUntil > now) {
+    return Math.ceil((row.lockedUntil - now) / 1000);
+  }
+
+  // Progressive delay: 1s, 2s, 4s, ... after the free attempts are used up
+  const extraFailures = row.failedCount - LIMITS[scope].freeAttempts;
+  if (extraFailures < 0) {
+    return 0;
+  }
+
+  const delaySeconds = Math.min(2 ** extraFailures, MAX_DELAY_SECONDS);
+  const waitMs = row.lastFailedAt.getTime() + delaySeconds * 1000 - now;
+  return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+// Check whether a login attempt may proceed. Returns { allowed, retryAfter }.
+const checkLoginAllowed = async (email, ip) => {
+  const now = new Date();
+  const rows = await prisma.loginThrottle.findMany({
+    where: {
+      OR: [
+        { scope: 'account', key: normalizeKey('account', email) },
+        ...(ip ? [{ scope: 'ip', key: ip }] : [])
+      ]
+    }
+  });
+
+  const retryAfter = Math.max(0, ...rows.map(row => getRetryAfter(row.scope, row, now)));
+  return { allowed: retryAfter === 0, retryAfter };
+};
+
+// Count a failure atomically so concurrent failures can't overwrite each other
+const recordFailureFor = async (scope, key, now) => {
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+
+  // Start over when earlier failures have aged out and the key isn't locked
+  await prisma.loginThrottle.updateMany({
+    where: {
+      scope,
+      key,
+      lastFailedAt: { lt: windowStart },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }]
+    },
+    data: { failedCount: 0, lockedUntil: null }
+  });
+
+  const row = await prisma.loginThrottle.upsert({
+    where: { scope_key: { scope, key } },
+    create: { scope, key, failedCount: 1, lastFailedAt: now },
+    update: { failedCount: { increment: 1 }, lastFailedAt: now }
+  });
+
+  if (row.failedCount < LIMITS[scope].maxAttempts) {
+    return { lockedUntil: null };
+  }
+
+  // Only the failure that sets the lock reports it, so the unlock email goes out once
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+  const { count } = await prisma.loginThrottle.updateMany({
+    where: {
+      scope,
+      key,
+      OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }]
+    },
+    data: { lockedUntil }
+  });
+
+  return { lockedUntil: count > 0 ? lockedUntil : null };
+};
+
+// Record a failed attempt. Returns { accountLockedUntil } when this failure locked the account.
+const recordLoginFailure = async (email, ip) => {
+  const now = new Date();
+  const [account] = await Promise.all([
+    recordFailureFor('account', normalizeKey('account', email), now),
+    ip ? recordFailureFor('ip', ip, now) : null
+  ]);
+
+  return { accountLockedUntil: account.lockedUntil };
+};
+
+// Seconds until a locked account unlocks, 0 if it isn't locked. Checked again
+// after a correct password, since failures running in parallel may have
+// locked the account after the first check let this attempt through.
+const getAccountLockRetryAfter = async (email) => {
+  const row = await prisma.loginThrottle.findUnique({
+    where: { scope_key: { scope: 'account', key: normalizeKey('account', email) } }
+  });
+
+  const now = new Date();
+  return row?.lockedUntil && row.lockedUntil > now ? Math.ceil((row.lockedUntil - now) / 1000) : 0;
+};
+
+// Forget failed attempts for an account after a successful login or unlock
+const clearAccountFailures = async (email) => {
+  await prisma.loginThrottle.deleteMany({
+    where: { scope: 'account', key: normalizeKey('account', email) }
+  });
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  getAccountLockRetryAfter,
+  clearAccountFailures
+};
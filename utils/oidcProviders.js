@@ -0,0 +1,111 @@
+const { Issuer, generators } = require('openid-client');
+require('dotenv').config();
+
+// Providers are configured from the environment, e.g. for "google":
+//   OIDC_GOOGLE_CLIENT_ID, OIDC_GOOGLE_CLIENT_SECRET and optionally OIDC_GOOGLE_ISSUER.
+// Any name listed in OIDC_PROVIDERS works the same way, which is how a local
+// mock provider is configured for testing (OIDC_PROVIDERS=mock, OIDC_MOCK_ISSUER=http://localhost:8080/default).
+const DEFAULT_ISSUERS = {
+  google: 'https://accounts.google.com',
+  facebook: 'https://www.facebook.com'
+};
+
+const OIDC_SCOPE = 'openid email profile';
+
+// Discovered clients, cached per provider
+const clients = new Map();
+
+const getProviderConfig = (name) => {
+  const enabled = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(provider => provider.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!enabled.includes(name)) {
+    return null;
+  }
+
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const issuer = process.env[`${prefix}ISSUER`] || DEFAULT_ISSUERS[name];
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+
+  if (!issuer || !clientId) {
+    return null;
+  }
+
+  return {
+    name,
+    issuer,
+    clientId,
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`]
+  };
+};
+
+// Names of the providers that are fully configured
+const listProviders = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(provider => provider.trim().toLowerCase())
+    .filter(provider => getProviderConfig(provider));
+};
+
+// Get an openid-client Client for a provider, or null if it isn't configured
+const getOidcClient = async (name, redirectUri) => {
+  const config = getProviderConfig(name);
+  if (!config) {
+    return null;
+  }
+
+  const cacheKey = `${name}|${redirectUri}`;
+  if (!clients.has(cacheKey)) {
+    const clientPromise = Issuer.discover(config.issuer).then(issuer => new issuer.Client({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      redirect_uris: [redirectUri],
+      response_types: ['code'],
+      token_endpoint_auth_method: config.clientSecret ? 'client_secret_basic' : 'none'
+    }));
+
+    // Don't cache failed discovery, so a provider that was down can recover
+    clientPromise.catch(() => clients.delete(cacheKey));
+    clients.set(cacheKey, clientPromise);
+  }
+
+  return clients.get(cacheKey);
+};
+
+// Build the authorization URL along with the values that must be kept for the callback
+const createAuthorizationRequest = (client) => {
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  const authorizationUrl = client.authorizationUrl({
+    scope: OIDC_SCOPE,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return { authorizationUrl, state, nonce, codeVerifier };
+};
+
+// Exchange the authorization code and return the verified ID token claims
+const completeAuthorization = async (client, redirectUri, req, { state, nonce, codeVerifier }) => {
+  const params = client.callbackParams(req);
+  const tokenSet = await client.callback(redirectUri, params, {
+    state,
+    nonce,
+    code_verifier: codeVerifier
+  });
+
+  return tokenSet.claims();
+};
+
+module.exports = {
+  listProviders,
+  getOidcClient,
+  createAuthorizationRequest,
+  completeAuthorization
+};
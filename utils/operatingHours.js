@@ -0,0 +1,271 @@
+// Destinations carry opening hours in two forms:
+//
+// - operatingHours: free text from the recommendation data, e.g.
+//   "8:00 AM - 5:00 PM", "08:00-17:00", "Open 24 hours" or "Closed".
+//   Anything we can't read is treated as unknown and never blocks scheduling.
+//
+// - openingHours: structured JSON, which takes precedence when present:
+//   {
+//     weekly: { mon: [{ opens: '08:00', closes: '17:00' }], ..., sun: [] },
+//     closures: [{ date: '2026-12-25', reason: 'Christmas' }],
+//     special: [{ date: '2026-12-24', ranges: [{ opens: '08:00', closes: '12:00' }] }]
+//   }
+//   A weekday missing from `weekly` (or with no ranges) is closed; without
+//   `weekly` at all, only closures and special dates are known.
+
+const TIME_PATTERN = /(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/i;
+const HHMM_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Weekday keys in Date#getUTCDay() order
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MAX_DATED_ENTRIES = 366;
+const RANGE_SEPARATOR = /\s*(?:-|–|—|\bto\b)\s*/i;
+
+// Convert "HH:MM" to minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Parse one clock time such as "8", "8:30 pm" or "17:00" into "HH:MM"
+const parseClockTime = (text) => {
+  const match = text.trim().match(TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = match[3] ? match[3].replace(/\./g, '').toLowerCase() : null;
+
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  if (hours > 24 || minutes > 59) {
+    return null;
+  }
+
+  return `${String(hours % 24).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Parse free-text operating hours. Returns { open24h: true }, { closed: true },
+// { opens, closes } (HH:MM) or null when the text can't be understood.
+const parseOperatingHours = (text) => {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const normalized = text.trim().toLowerCase();
+
+  if (/24\s*(hours|hrs|\/7)|open\s+24|always open/.test(normalized)) {
+    return { open24h: true };
+  }
+
+  if (/^closed\.?$/.test(normalized)) {
+    return { closed: true };
+  }
+
+  // "Closed on Mondays", "Closed for renovation until May": we can't tell
+  // which days, so leave them unknown rather than closing every day
+  if (/^closed\b/.test(normalized)) {
+    return null;
+  }
+
+  const parts = normalized.split(RANGE_SEPARATOR);
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const opens = parseClockTime(parts[0]);
+  const closes = parseClockTime(parts[1]);
+  if (!opens || !closes) {
+    return null;
+  }
+
+  return { opens, closes };
+};
+
+// Validate a list of { opens, closes } ranges. Returns an error message or null.
+const validateRanges = (ranges, label) => {
+  if (!Array.isArray(ranges)) {
+    return `${label} must be a list of { opens, closes } ranges`;
+  }
+
+  for (const range of ranges) {
+    if (!range || !HHMM_PATTERN.test(range.opens) || !HHMM_PATTERN.test(range.closes)) {
+      return `${label} ranges need opens and closes in HH:MM format`;
+    }
+  }
+
+  return null;
+};
+
+// Validate structured opening hours and return a clean copy.
+// Returns { value } or { error }.
+const normalizeOpeningHours = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Opening hours must be an object' };
+  }
+
+  const value = {};
+
+  if (input.weekly !== undefined) {
+    if (!input.weekly || typeof input.weekly !== 'object' || Array.isArray(input.weekly)) {
+      return { error: 'weekly must map weekdays (mon-sun) to ranges' };
+    }
+
+    value.weekly = {};
+    for (const [day, ranges] of Object.entries(input.weekly)) {
+      if (!WEEKDAYS.includes(day)) {
+        return { error: `Unknown weekday "${day}", use ${WEEKDAYS.join(', ')}` };
+      }
+
+      const error = validateRanges(ranges, `weekly.${day}`);
+      if (error) {
+        return { error };
+      }
+
+      value.weekly[day] = ranges.map(({ opens, closes }) => ({ opens, closes }));
+    }
+  }
+
+  for (const key of ['closures', 'special']) {
+    if (input[key] === undefined) {
+      continue;
+    }
+
+    if (!Array.isArray(input[key]) || input[key].length > MAX_DATED_ENTRIES) {
+      return { error: `${key} must be a list of at most ${MAX_DATED_ENTRIES} dates` };
+    }
+
+    for (const entry of input[key]) {
+      if (!entry || !DATE_PATTERN.test(entry.date) || Number.isNaN(Date.parse(entry.date))) {
+        return { error: `${key} entries need a date in YYYY-MM-DD format` };
+      }
+
+      if (key === 'special') {
+        const error = validateRanges(entry.ranges, `special ${entry.date}`);
+        if (error) {
+          return { error };
+        }
+      }
+    }
+  }
+
+  if (input.closures) {
+    value.closures = input.closures.map(({ date, reason }) => ({
+      date,
+      ...(reason && { reason: String(reason).substring(0, 255) })
+    }));
+  }
+
+  if (input.special) {
+    value.special = input.special.map(({ date, ranges }) => ({
+      date,
+      ranges: ranges.map(({ opens, closes }) => ({ opens, closes }))
+    }));
+  }
+
+  return { value };
+};
+
+// Work out a destination's hours on a date (or any day when date is null).
+// Returns { status: 'open', ranges }, { status: 'closed', reason } or { status: 'unknown' }.
+const getHoursOn = (destination, date) => {
+  const structured = destination.openingHours;
+
+  if (structured) {
+    const isoDate = date ? date.toISOString().slice(0, 10) : null;
+
+    const closure = isoDate && (structured.closures || []).find(entry => entry.date === isoDate);
+    if (closure) {
+      return { status: 'closed', reason: closure.reason ? `Closed on ${isoDate}: ${closure.reason}` : `Closed on ${isoDate}` };
+    }
+
+    const special = isoDate && (structured.special || []).find(entry => entry.date === isoDate);
+    if (special) {
+      return special.ranges.length > 0
+        ? { status: 'open', ranges: special.ranges }
+        : { status: 'closed', reason: `Closed on ${isoDate}` };
+    }
+
+    if (structured.weekly && date) {
+      const day = date.getUTCDay();
+      const ranges = structured.weekly[WEEKDAYS[day]] || [];
+      return ranges.length > 0
+        ? { status: 'open', ranges }
+        : { status: 'closed', reason: `Closed on ${WEEKDAY_NAMES[day]}s` };
+    }
+
+    return { status: 'unknown' };
+  }
+
+  const hours = parseOperatingHours(destination.operatingHours);
+  if (!hours) {
+    return { status: 'unknown' };
+  }
+  if (hours.closed) {
+    return { status: 'closed', reason: 'This destination is closed' };
+  }
+  if (hours.open24h) {
+    return { status: 'open', ranges: [{ opens: '00:00', closes: '24:00' }] };
+  }
+  return { status: 'open', ranges: [{ opens: hours.opens, closes: hours.closes }] };
+};
+
+// Check whether a visit from startTime to endTime (HH:MM) fits one of the ranges
+const fitsRange = (range, startTime, endTime) => {
+  const opens = toMinutes(range.opens);
+  let closes = toMinutes(range.closes);
+  let start = toMinutes(startTime);
+  let end = toMinutes(endTime || startTime);
+
+  // Visits past midnight, e.g. 23:00 - 01:00
+  if (end < start) {
+    end += 24 * 60;
+  }
+
+  // Places open past midnight, e.g. 18:00 - 02:00
+  if (closes <= opens) {
+    closes += 24 * 60;
+    if (start < opens) {
+      start += 24 * 60;
+      end += 24 * 60;
+    }
+  }
+
+  return start >= opens && end <= closes;
+};
+
+// Check a visit to a destination on a date. Times are optional: without them
+// only whether the place is open that day is checked. Returns an error
+// message, or null when the visit fits or the hours are unknown.
+const checkVisit = (destination, date, startTime, endTime) => {
+  const hours = getHoursOn(destination, date);
+
+  if (hours.status === 'closed') {
+    return hours.reason;
+  }
+
+  if (hours.status === 'unknown' || !startTime) {
+    return null;
+  }
+
+  if (!hours.ranges.some(range => fitsRange(range, startTime, endTime))) {
+    const ranges = hours.ranges.map(range => `${range.opens} - ${range.closes}`).join(', ');
+    return `Visit must be within operating hours (${ranges})`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  toMinutes,
+  parseOperatingHours,
+  normalizeOpeningHours,
+  getHoursOn,
+  checkVisit
+};
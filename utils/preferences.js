@@ -0,0 +1,139 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Known preference keys. Values are stored JSON-encoded in UserPreference.preferenceValue;
+// keys without a stored row fall back to their default.
+const PREFERENCE_SCHEMA = {
+  currency: {
+    type: 'enum',
+    values: ['PHP', 'USD', 'EUR', 'GBP', 'JPY', 'KRW', 'SGD', 'AUD'],
+    default: 'PHP'
+  },
+  units: {
+    type: 'enum',
+    values: ['metric', 'imperial'],
+    default: 'metric'
+  },
+  language: {
+    type: 'enum',
+    values: ['en', 'fil'],
+    default: 'en'
+  },
+  travelStyle: {
+    type: 'enum',
+    values: ['budget', 'balanced', 'luxury', 'adventure', 'relaxation'],
+    default: 'balanced'
+  },
+  notifyTripReminders: {
+    type: 'boolean',
+    default: true
+  },
+  notifyTrackerUpdates: {
+    type: 'boolean',
+    default: true
+  },
+  notifyPromotions: {
+    type: 'boolean',
+    default: false
+  }
+};
+
+const PREFERENCE_KEYS = Object.keys(PREFERENCE_SCHEMA);
+
+const getDefaults = () => {
+  return PREFERENCE_KEYS.reduce((defaults, key) => {
+    defaults[key] = PREFERENCE_SCHEMA[key].default;
+    return defaults;
+  }, {});
+};
+
+// Check a value against its key's schema. Returns an error message, or null if valid.
+const validatePreference = (key, value) => {
+  const definition = PREFERENCE_SCHEMA[key];
+  if (!definition) {
+    return `Unknown preference: ${key}`;
+  }
+
+  if (definition.type === 'boolean' && typeof value !== 'boolean') {
+    return `${key} must be true or false`;
+  }
+
+  if (definition.type === 'enum' && !definition.values.includes(value)) {
+    return `${key} must be one of: ${definition.values.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Parse a stored value, ignoring rows that no longer match the schema
+const parseStoredValue = (key, storedValue) => {
+  try {
+    const value = JSON.parse(storedValue);
+    return validatePreference(key, value) ? undefined : value;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// A user's preferences with defaults filled in for anything not set
+const getUserPreferences = async (userId) => {
+  const rows = await prisma.userPreference.findMany({
+    where: {
+      userId,
+      preferenceKey: { in: PREFERENCE_KEYS }
+    }
+  });
+
+  const preferences = getDefaults();
+  for (const row of rows) {
+    const value = parseStoredValue(row.preferenceKey, row.preferenceValue);
+    if (value !== undefined) {
+      preferences[row.preferenceKey] = value;
+    }
+  }
+
+  return preferences;
+};
+
+// Apply several changes at once. A null value resets that key to its default.
+// The caller validates first; this writes everything in one transaction.
+const updateUserPreferences = async (userId, changes) => {
+  const operations = Object.entries(changes).map(([key, value]) => {
+    if (value === null) {
+      return prisma.userPreference.deleteMany({
+        where: { userId, preferenceKey: key }
+      });
+    }
+
+    return prisma.userPreference.upsert({
+      where: { userId_preferenceKey: { userId, preferenceKey: key } },
+      update: { preferenceValue: JSON.stringify(value) },
+      create: { userId, preferenceKey: key, preferenceValue: JSON.stringify(value) }
+    });
+  });
+
+  await prisma.$transaction(operations);
+  return getUserPreferences(userId);
+};
+
+// Reset one key, or every known key when none is given
+const resetUserPreferences = async (userId, key = null) => {
+  await prisma.userPreference.deleteMany({
+    where: {
+      userId,
+      preferenceKey: key ? key : { in: PREFERENCE_KEYS }
+    }
+  });
+
+  return getUserPreferences(userId);
+};
+
+module.exports = {
+  PREFERENCE_SCHEMA,
+  PREFERENCE_KEYS,
+  validatePreference,
+  getUserPreferences,
+  updateUserPreferences,
+  resetUserPreferences
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Generate a random, URL-safe token
+const generateSecureToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// One-way hash for storing tokens, so a database leak doesn't leak usable tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Signed, expiring token for emailed links and multi-step flows. The purpose
+// claim keeps a token issued for one flow from being accepted by another.
+const signActionToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Verify an action token. Returns its payload, or null if it is invalid,
+// expired or was issued for a different purpose.
+const verifyActionToken = (purpose, token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateSecureToken,
+  hashToken,
+  signActionToken,
+  verifyActionToken
+};
@@ -0,0 +1,229 @@
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const { generateSecureToken, hashToken } = require('./secureTokens');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 7;
+
+// Access tokens are short-lived; clients renew them with POST /api/auth/refresh
+const ACCESS_TOKEN_TTL_SECONDS = (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60;
+
+// Only write lastSeenAt when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+const sessionExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Create a server-side session for a user, recording the device it came from
+const createSession = async (userId, req) => {
+  return prisma.userSession.create({
+    data: {
+      userId,
+      sessionId: uuidv4(),
+      userAgent: req?.get('user-agent')?.substring(0, 255) || null,
+      ipAddress: req?.ip || null,
+      lastSeenAt: new Date(),
+      expiresAt: sessionExpiry()
+    }
+  });
+};
+
+// Find a session that has not been revoked or expired
+const findActiveSession = async (sessionId) => {
+  const session = await prisma.userSession.findUnique({
+    where: { sessionId }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return session;
+};
+
+// Record session activity
+const touchSession = async (session) => {
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return;
+  }
+
+  await prisma.userSession.update({
+    where: { id: session.id },
+    data: { lastSeenAt: new Date() }
+  });
+};
+
+// List a user's active sessions, most recently used first
+const listActiveSessions = async (userId) => {
+  return prisma.userSession.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: [
+      { lastSeenAt: 'desc' },
+      { createdAt: 'desc' }
+    ]
+  });
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId) => {
+  await prisma.userSession.updateMany({
+    where: { sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
+
+// Find the session a refresh token belongs to, or null. Doesn't check or use the token.
+const findRefreshTokenSession = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { session: true }
+  });
+
+  return stored ? stored.session : null;
+};
+
+// Issue a new refresh token belonging to a session
+const issueRefreshToken = async (session) => {
+  const refreshToken = generateSecureToken(48);
+
+  await prisma.refreshToken.create({
+    data: {
+      userId: session.userId,
+      sessionId: session.id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: session.expiresAt
+    }
+  });
+
+  return refreshToken;
+};
+
+// Exchange a refresh token for a new one, extending the session.
+// Returns { session, refreshToken } on success, or { error } with one of
+// 'invalid', 'expired' or 'reused'. Reusing a token revokes its whole family.
+const rotateRefreshToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { session: true }
+  });
+
+  if (!stored) {
+    return { error: 'invalid' };
+  }
+
+  const { session } = stored;
+
+  if (stored.usedAt) {
+    await revokeSession(session.sessionId);
+    return { error: 'reused' };
+  }
+
+  const now = new Date();
+  if (session.revokedAt || session.expiresAt <= now || stored.expiresAt <= now) {
+    return { error: 'expired' };
+  }
+
+  // Conditional update so two concurrent refreshes can't both consume the token
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: now }
+  });
+
+  if (count === 0) {
+    await revokeSession(session.sessionId);
+    return { error: 'reused' };
+  }
+
+  const renewedSession = await prisma.userSession.update({
+    where: { id: session.id },
+    data: {
+      expiresAt: sessionExpiry(),
+      lastSeenAt: now
+    }
+  });
+
+  return {
+    session: renewedSession,
+    refreshToken: await issueRefreshToken(renewedSession)
+  };
+};
+
+// Generate a JWT access token bound to a server-side session
+const generateAccessToken = (session, expiresIn = ACCESS_TOKEN_TTL_SECONDS) => {
+  return jwt.sign(
+    { userId: session.userId, sid: session.sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// Start a new session for the requesting device and issue its access/refresh token pair
+const issueSessionTokens = async (userId, req) => {
+  const session = await createSession(userId, req);
+  return {
+    token: generateAccessToken(session),
+    refreshToken: await issueRefreshToken(session),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+};
+
+// Start a short-lived session acting as another user. It gets an access token
+// only, so it ends when that token expires and can't be extended by refreshing.
+const createImpersonationSession = async (userId, impersonatorId, reason, minutes, req) => {
+  const expiresIn = minutes * 60;
+
+  const session = await prisma.userSession.create({
+    data: {
+      userId,
+      sessionId: uuidv4(),
+      impersonatorId,
+      impersonationReason: reason,
+      userAgent: req?.get('user-agent')?.substring(0, 255) || null,
+      ipAddress: req?.ip || null,
+      lastSeenAt: new Date(),
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    }
+  });
+
+  return {
+    session,
+    token: generateAccessToken(session, expiresIn),
+    expiresIn
+  };
+};
+
+// Revoke all of a user's sessions except the given one (if any)
+const revokeOtherSessions = async (userId, exceptSessionId = null) => {
+  const { count } = await prisma.userSession.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { sessionId: { not: exceptSessionId } })
+    },
+    data: { revokedAt: new Date() }
+  });
+
+  return count;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  createSession,
+  findActiveSession,
+  touchSession,
+  listActiveSessions,
+  revokeSession,
+  revokeOtherSessions,
+  issueRefreshToken,
+  findRefreshTokenSession,
+  rotateRefreshToken,
+  generateAccessToken,
+  issueSessionTokens,
+  createImpersonationSession
+};
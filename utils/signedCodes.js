@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+require('dotenv').config();
+
+// Signed code format: WT1.<kind>.<id>.<issuedAt base36>.<signature>
+// The signature is an HMAC over everything before it, so a scanner can check
+// authenticity of a code without looking it up in the database.
+const CODE_VERSION = 'WT1';
+const SIGNATURE_BYTES = 16;
+
+const CODE_KINDS = {
+  ticket: 'T',
+  tracker: 'R'
+};
+
+const getSigningSecret = () => {
+  const secret = process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('QR_SIGNING_SECRET or JWT_SECRET must be set to sign codes');
+  }
+  return secret;
+};
+
+const sign = (unsignedPayload) => {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(unsignedPayload)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+};
+
+// Create a signed payload for a ticket or tracker ID
+const createSignedCode = (kind, id) => {
+  const kindCode = CODE_KINDS[kind];
+  if (!kindCode) {
+    throw new Error(`Unknown code kind: ${kind}`);
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000).toString(36);
+  const unsignedPayload = [CODE_VERSION, kindCode, id, issuedAt].join('.');
+  return `${unsignedPayload}.${sign(unsignedPayload)}`;
+};
+
+// Verify a signed payload. Returns { kind, id, issuedAt } or null if the code
+// is malformed, forged or tampered with.
+const verifySignedCode = (code) => {
+  if (typeof code !== 'string') {
+    return null;
+  }
+
+  const parts = code.trim().split('.');
+  if (parts.length !== 5 || parts[0] !== CODE_VERSION) {
+    return null;
+  }
+
+  const [, kindCode, id, issuedAt, signature] = parts;
+  const kind = Object.keys(CODE_KINDS).find(key => CODE_KINDS[key] === kindCode);
+  if (!kind || !id) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(parts.slice(0, 4).join('.')));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const issuedAtSeconds = parseInt(issuedAt, 36);
+  if (Number.isNaN(issuedAtSeconds)) {
+    return null;
+  }
+
+  return {
+    kind,
+    id,
+    issuedAt: new Date(issuedAtSeconds * 1000)
+  };
+};
+
+// Render a signed code as a QR image. Returns { contentType, body }.
+const renderQrCode = async (payload, format = 'png', size = 300) => {
+  const options = {
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: size
+  };
+
+  if (format === 'svg') {
+    const svg = await QRCode.toString(payload, { ...options, type: 'svg' });
+    return { contentType: 'image/svg+xml', body: svg };
+  }
+
+  const png = await QRCode.toBuffer(payload, { ...options, type: 'png' });
+  return { contentType: 'image/png', body: png };
+};
+
+module.exports = {
+  createSignedCode,
+  verifySignedCode,
+  renderQrCode
+};
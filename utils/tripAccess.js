@@ -0,0 +1,39 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Prisma filter for trips owned by the requester: the logged-in user, or the
+// verified anonymous session for trips nobody has claimed. Returns null when
+// the request has neither, so callers never build an OR on null values.
+const tripOwnerWhere = (req) => {
+  if (req.user) {
+    return { userId: req.user.id };
+  }
+
+  if (req.sessionId) {
+    return { userId: null, sessionId: req.sessionId };
+  }
+
+  return null;
+};
+
+// Find a trip the requester owns, or null
+const findOwnedTrip = async (req, tripId, options = {}) => {
+  const ownerWhere = tripOwnerWhere(req);
+  if (!ownerWhere) {
+    return null;
+  }
+
+  return prisma.trip.findFirst({
+    ...options,
+    where: {
+      id: tripId,
+      ...ownerWhere
+    }
+  });
+};
+
+module.exports = {
+  tripOwnerWhere,
+  findOwnedTrip
+};
@@ -0,0 +1,113 @@
+// Share of a budget that can be spent before a "nearly over budget" warning
+const BUDGET_WARNING_RATIO = 0.9;
+
+// Work in whole cents so totals don't pick up floating point drift
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Compare spending against a budget. Budget may be null when none is set.
+const compareToBudget = (budgetCents, spentCents) => {
+  if (budgetCents === null) {
+    return { budget: null, spent: fromCents(spentCents), remaining: null, percentUsed: null, overBudget: false };
+  }
+
+  return {
+    budget: fromCents(budgetCents),
+    spent: fromCents(spentCents),
+    remaining: fromCents(budgetCents - spentCents),
+    percentUsed: budgetCents > 0 ? Math.round((spentCents / budgetCents) * 1000) / 10 : null,
+    overBudget: spentCents > budgetCents
+  };
+};
+
+// Warning for a budget line, or null when spending is comfortably within it
+const budgetWarning = (label, comparison, currency) => {
+  if (comparison.budget === null) {
+    return null;
+  }
+
+  if (comparison.overBudget) {
+    return {
+      level: 'over',
+      message: `${label} is over budget by ${(-comparison.remaining).toFixed(2)} ${currency}`
+    };
+  }
+
+  if (comparison.budget > 0 && comparison.spent >= comparison.budget * BUDGET_WARNING_RATIO) {
+    return {
+      level: 'near',
+      message: `${label} has used ${comparison.percentUsed}% of its budget`
+    };
+  }
+
+  return null;
+};
+
+// Summarise a trip's expenses against Trip.budget and each destination's budget.
+// Budgets are in the trip currency; expenses in other currencies can't be
+// compared without exchange rates, so they are totalled separately.
+const buildBudgetSummary = (trip, destinations, expenses) => {
+  const currency = trip.currency;
+  const tripExpenses = expenses.filter(expense => expense.currency === currency);
+
+  const otherCurrencies = {};
+  for (const expense of expenses) {
+    if (expense.currency !== currency) {
+      otherCurrencies[expense.currency] = (otherCurrencies[expense.currency] || 0) + toCents(expense.amount);
+    }
+  }
+
+  const spentCents = tripExpenses.reduce((sum, expense) => sum + toCents(expense.amount), 0);
+  const total = compareToBudget(trip.budget === null ? null : toCents(trip.budget), spentCents);
+
+  const byCategory = {};
+  for (const expense of tripExpenses) {
+    byCategory[expense.category] = (byCategory[expense.category] || 0) + toCents(expense.amount);
+  }
+
+  const byDestination = destinations.map(destination => {
+    const destinationCents = tripExpenses
+      .filter(expense => expense.destinationId === destination.id)
+      .reduce((sum, expense) => sum + toCents(expense.amount), 0);
+
+    return {
+      destinationId: destination.id,
+      name: destination.name,
+      ...compareToBudget(destination.budget === null ? null : toCents(destination.budget), destinationCents)
+    };
+  });
+
+  const unassignedCents = tripExpenses
+    .filter(expense => !expense.destinationId)
+    .reduce((sum, expense) => sum + toCents(expense.amount), 0);
+
+  const warnings = [
+    budgetWarning('Trip', total, currency),
+    ...byDestination.map(line => budgetWarning(line.name, line, currency))
+  ].filter(Boolean);
+
+  if (Object.keys(otherCurrencies).length > 0) {
+    warnings.push({
+      level: 'info',
+      message: `Expenses in ${Object.keys(otherCurrencies).join(', ')} are not included in the ${currency} totals`
+    });
+  }
+
+  return {
+    tripId: trip.id,
+    currency,
+    expenseCount: expenses.length,
+    ...total,
+    byCategory: Object.fromEntries(Object.entries(byCategory).map(([category, cents]) => [category, fromCents(cents)])),
+    byDestination,
+    unassigned: fromCents(unassignedCents),
+    otherCurrencies: Object.fromEntries(Object.entries(otherCurrencies).map(([code, cents]) => [code, fromCents(cents)])),
+    warnings
+  };
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  buildBudgetSummary
+};
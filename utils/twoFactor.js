@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./secureTokens');
+
+const prisma = new PrismaClient();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'WerTigo';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept codes from the previous and next 30 second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+// Generate a new TOTP secret and the otpauth:// URI for authenticator apps
+const generateTwoFactorSecret = (accountName) => {
+  const secret = authenticator.generateSecret();
+  return {
+    secret,
+    otpauthUrl: authenticator.keyuri(accountName, TOTP_ISSUER, secret)
+  };
+};
+
+// Find the time step a 6 digit code belongs to, or null if it doesn't match the secret
+const matchTotpStep = (secret, code) => {
+  if (!secret || typeof code !== 'string') {
+    return null;
+  }
+
+  try {
+    const delta = authenticator.checkDelta(code.replace(/\s/g, ''), secret);
+    if (delta === null) {
+      return null;
+    }
+
+    const stepSeconds = authenticator.allOptions().step;
+    return Math.floor(Date.now() / 1000 / stepSeconds) + delta;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check a 6 digit code for a user and use it up. A code is only accepted for a
+// later time step than the last accepted one, so a seen code can't be replayed
+// within its window; the conditional update also stops concurrent reuse.
+const verifyTotpCode = async (user, code) => {
+  const step = matchTotpStep(user.twoFactorSecret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+    },
+    data: { twoFactorLastStep: step }
+  });
+
+  return count === 1;
+};
+
+const normalizeRecoveryCode = (code) => code.trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// Replace a user's recovery codes. Returns the plain codes, which are only shown once.
+const regenerateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorRecoveryCode.createMany({
+      data: codes.map(code => ({
+        userId,
+        codeHash: hashToken(normalizeRecoveryCode(code))
+      }))
+    })
+  ]);
+
+  return codes;
+};
+
+// Use up a recovery code. Returns true if the code was valid and unused.
+const consumeRecoveryCode = async (userId, code) => {
+  if (typeof code !== 'string') {
+    return false;
+  }
+
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: {
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+      usedAt: null
+    },
+    data: { usedAt: new Date() }
+  });
+
+  return count === 1;
+};
+
+// Verify either a TOTP code or a recovery code for a user with 2FA enabled
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return verifyTotpCode(user, code);
+  }
+
+  if (recoveryCode) {
+    return consumeRecoveryCode(user.id, recoveryCode);
+  }
+
+  return false;
+};
+
+module.exports = {
+  generateTwoFactorSecret,
+  verifyTotpCode,
+  regenerateRecoveryCodes,
+  verifySecondFactor
+};